@@ -16,6 +16,11 @@ class AsciiRendererWebGL {
         this.baseDrift = 2;
         this.driftAmount = this.baseDrift;
 
+        // Character density: 0 maps brightness straight to characters, 1 pushes every
+        // cell up to denser characters (pulsed by transients in the sound)
+        this.density = 0;
+        this.maxDensityBoost = 1.5;
+
         // Three.js setup
         this.scene = null;
         this.camera = null;
@@ -216,6 +221,10 @@ class AsciiRendererWebGL {
         this.driftAmount = this.baseDrift + Math.abs(rightRotation) / 3.6;
     }
 
+    setDensity(amount) {
+        this.density = Math.max(0, Math.min(1, amount));
+    }
+
     render() {
         if (!this.isReady || !this.renderer || !this.material) return;
 
@@ -232,6 +241,7 @@ class AsciiRendererWebGL {
         // Update instance attributes based on video pixels
         const charIndices = this.instanceCharIndices.array;
         const colors = this.instanceColors.array;
+        const densityGain = 1 + this.density * this.maxDensityBoost;
 
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
@@ -243,7 +253,7 @@ class AsciiRendererWebGL {
                 const b = pixels[pixelIdx + 2] / 255;
 
                 // Character selection based on brightness
-                const brightness = r * 0.299 + g * 0.587 + b * 0.114;
+                const brightness = Math.min(1, (r * 0.299 + g * 0.587 + b * 0.114) * densityGain);
                 charIndices[instanceIdx] = Math.floor(brightness * (this.chars.length - 1));
 
                 // Raw color — saturation handled in shader
@@ -0,0 +1,125 @@
+// Audio Analyzer - Features of the synth output for audio-reactive visuals
+// Taps the master gain with an FFT and a waveform analyser and reduces each frame to a
+// handful of 0–1 features: overall RMS, low/mid/high band energy, spectral centroid
+// (brightness) and a transient pulse that jumps on sudden level rises and decays.
+
+class AudioAnalyzer {
+    static FFT_SIZE = 1024;          // Bins (Tone.Analyser size)
+    static WAVEFORM_SIZE = 1024;     // Samples per RMS reading
+
+    // Band edges in Hz
+    static BANDS = {
+        low: [20, 250],
+        mid: [250, 2000],
+        high: [2000, 10000]
+    };
+
+    static BAND_RANGE = [-90, -30];  // dB mapped to 0–1 band energy
+    static RMS_RANGE = [-60, -12];   // dBFS mapped to 0–1 RMS
+    static CENTROID_RANGE = [150, 5000];  // Hz mapped (log) to 0–1 brightness
+    static SLOW_TIME = 0.5;          // Seconds, the level transients are measured against
+    static TRANSIENT_RISE = 9;       // dB above the slow level that counts as a full transient
+    static TRANSIENT_DECAY = 0.15;   // Seconds for a transient pulse to fade
+
+    // Mean power of the bins between two frequencies, in dB
+    static _bandDb(power, binWidth, low, high) {
+        const first = Math.max(1, Math.ceil(low / binWidth));
+        const last = Math.min(power.length - 1, Math.floor(high / binWidth));
+        if (last < first) return -Infinity;
+        let sum = 0;
+        for (let bin = first; bin <= last; bin++) sum += power[bin];
+        return 10 * Math.log10(sum / (last - first + 1) + 1e-12);
+    }
+
+    // Value mapped from [min, max] to 0–1, clamped
+    static _range(value, [min, max]) {
+        if (!isFinite(value)) return 0;
+        return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {Tone.BaseContext} [options.context] - Context to build on (defaults to the global one)
+     */
+    constructor({ context = Tone.getContext() } = {}) {
+        this.context = context;
+
+        this.input = null;
+        this.fft = null;
+        this.waveform = null;
+
+        this.slowDb = null;
+        this.transient = 0;
+        this.lastTime = null;
+    }
+
+    init() {
+        const context = this.context;
+        this.input = new Tone.Gain({ context });
+        this.fft = new Tone.Analyser({ context, type: 'fft', size: AudioAnalyzer.FFT_SIZE, smoothing: 0.6 });
+        this.waveform = new Tone.Analyser({ context, type: 'waveform', size: AudioAnalyzer.WAVEFORM_SIZE });
+        this.input.connect(this.fft);
+        this.input.connect(this.waveform);
+    }
+
+    /**
+     * Read the current features
+     * @param {number} [now] - Milliseconds, for the transient envelope
+     * @returns {{rms: number, low: number, mid: number, high: number, centroid: number, transient: number}}
+     *   All 0–1
+     */
+    analyze(now = performance.now()) {
+        const dt = this.lastTime === null ? 0 : Math.max(0, now - this.lastTime) / 1000;
+        this.lastTime = now;
+
+        const spectrum = this.fft.getValue();
+        const binWidth = this.context.sampleRate / (2 * spectrum.length);
+        const power = Array.from(spectrum, db => (isFinite(db) ? Math.pow(10, db / 10) : 0));
+
+        const bands = {};
+        Object.entries(AudioAnalyzer.BANDS).forEach(([name, [low, high]]) => {
+            bands[name] = AudioAnalyzer._range(AudioAnalyzer._bandDb(power, binWidth, low, high), AudioAnalyzer.BAND_RANGE);
+        });
+
+        const samples = this.waveform.getValue();
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+        const rmsDb = 10 * Math.log10(sum / samples.length + 1e-12);
+
+        return {
+            rms: AudioAnalyzer._range(rmsDb, AudioAnalyzer.RMS_RANGE),
+            ...bands,
+            centroid: this._centroid(power, binWidth),
+            transient: this._transient(rmsDb, dt)
+        };
+    }
+
+    dispose() {
+        [this.fft, this.waveform, this.input].forEach(node => node && node.dispose());
+        this.input = null;
+    }
+
+    // Power-weighted mean frequency on a log scale; 0 in silence
+    _centroid(power, binWidth) {
+        let weighted = 0;
+        let total = 0;
+        for (let bin = 1; bin < power.length; bin++) {
+            weighted += bin * binWidth * power[bin];
+            total += power[bin];
+        }
+        if (total <= 1e-12) return 0;
+        const [low, high] = AudioAnalyzer.CENTROID_RANGE;
+        return AudioAnalyzer._range(Math.log(weighted / total / low), [0, Math.log(high / low)]);
+    }
+
+    // Jumps with the level's rise above its slow average, then decays
+    _transient(rmsDb, dt) {
+        if (this.slowDb === null || !isFinite(this.slowDb)) this.slowDb = rmsDb;
+        const rise = rmsDb - this.slowDb;
+        this.slowDb += (rmsDb - this.slowDb) * (dt > 0 ? 1 - Math.exp(-dt / AudioAnalyzer.SLOW_TIME) : 0);
+
+        const pulse = Math.max(0, Math.min(1, rise / AudioAnalyzer.TRANSIENT_RISE));
+        this.transient = Math.max(pulse, this.transient * Math.exp(-dt / AudioAnalyzer.TRANSIENT_DECAY));
+        return this.transient;
+    }
+}
@@ -8,37 +8,104 @@ class AudioEngine {
         ERROR: 'error'
     };
 
-    // Root frequencies for all keys (octave 3)
-    static ROOT_FREQUENCIES = {
-        'C': 130.81, 'C#': 138.59, 'Db': 138.59,
-        'D': 146.83, 'D#': 155.56, 'Eb': 155.56,
-        'E': 164.81, 'F': 174.61, 'F#': 185.00,
-        'Gb': 185.00, 'G': 196.00, 'G#': 207.65,
-        'Ab': 207.65, 'A': 220.00, 'A#': 233.08,
-        'Bb': 233.08, 'B': 246.94
+    // Chord roots sit in octave 3 (C3 = 130.81 Hz at A=440)
+    static ROOT_OCTAVE = 3;
+
+    // Default chord shape (setKey only changes root and major/minor quality)
+    static DEFAULT_VOICING = 'drone';
+    static DEFAULT_VOICE_COUNT = 4;
+    static VOICE_MIXER_LEVEL = 0.6;
+
+    // Timbre banks, morphed in order by setIntensity (first = intensity 0)
+    static BANK_TYPES = [
+        'sine', 'triangle', 'square', 'sawtooth',
+        'fmsine', 'fmtriangle', 'fmsquare', 'fmsawtooth',
+        'breath'
+    ];
+    static DEFAULT_TIMBRE_BANKS = [
+        { name: 'rounded', type: 'triangle' },   // Warm, mellow
+        { name: 'saturated', type: 'sawtooth' }  // Bright, aggressive
+    ];
+    static EXTENDED_TIMBRE_BANKS = [
+        { name: 'pure', type: 'sine' },
+        { name: 'rounded', type: 'triangle' },
+        { name: 'hollow', type: 'square' },
+        { name: 'saturated', type: 'sawtooth' },
+        { name: 'breath', type: 'breath' }
+    ];
+    static BANK_FADE_TIME = 0.1;  // Seconds for morph ramps
+
+    // AudioWorklet that renders all voices, unison and drift in one node
+    static WORKLET_URL = 'src/worklets/droneVoiceProcessor.js';
+    static WORKLET_NAME = 'drone-voice';
+    static MAX_VOICES = 8;  // Must match MAX_VOICES in the processor
+
+    // Key transition options
+    static VOICE_LEADING_MODES = ['parallel', 'nearest'];
+    static GLIDE_CURVES = ['linear', 'exponential', 'scurve'];
+    static SCURVE_POINTS = 32;  // Resolution of the S-curve glide
+    static DEFAULT_GLIDE = { time: 0.5, stagger: 0.15, curve: 'exponential', voiceLeading: 'nearest' };
+
+    // Default effects chain (see EffectsRack.UNITS); setIntensity and setWidth
+    // drive the 'filter', 'chorus' and 'widener' units when they are present, and
+    // hand openness sings the 'formant' vowels (see ModulationMatrix.DEFAULT_ROUTES)
+    static DEFAULT_EFFECTS = [
+        { id: 'filter', type: 'filter', params: { frequency: 400, Q: 1.5 } },
+        // Silent until turned up (?vowel=0.4 or an 'effect.formant.mix' route), so the default
+        // sound stays the original choir
+        { id: 'formant', type: 'formant', mix: 0 },
+        { id: 'chorus', type: 'chorus', mix: 0.6, params: { frequency: 2.5, delayTime: 3.5, depth: 0.5 } },
+        { id: 'widener', type: 'widener', params: { width: 0.5 } },
+        { id: 'reverb', type: 'reverb', mix: 0.35, params: { decay: 4 } }
+    ];
+
+    // What the intensity and width macros sweep, as [at 0, at 1]
+    static DEFAULT_RANGES = {
+        filterFrequency: [300, 5000],   // Hz (intensity)
+        filterQ: [1, 3],                // (intensity)
+        chorusDepth: [0.3, 0.8],        // (intensity)
+        spread: [10, 50],               // Unison cents (width)
+        chorusFrequency: [1, 6],        // Hz (width)
+        driftDepth: [2, 15],            // ± cents (width)
+        stereoWidth: [0.3, 1]           // (width)
     };
 
-    // Interval ratios for chord voicing
-    // [root, fifth, octave, third+octave]
-    static MAJOR_INTERVALS = [1, 1.5, 2, 2.52];  // M3 = 5/4 * 2 = 2.52 approx
-    static MINOR_INTERVALS = [1, 1.5, 2, 2.4];   // m3 = 6/5 * 2 = 2.4
-
-    constructor() {
-        // Dual-channel voice system for smooth crossfade
-        this.roundedVoices = [];    // Triangle FatOscillators (warm, mellow)
-        this.saturatedVoices = [];  // Sawtooth FatOscillators (bright, aggressive)
-        this.roundedGain = null;    // Gain node for rounded channel
-        this.saturatedGain = null;  // Gain node for saturated channel
-        this.roundedLFOs = [];      // LFOs for rounded voices
-        this.saturatedLFOs = [];    // LFOs for saturated voices
-        this.voiceMixer = null;     // Gain for mixing voices
+    // Presets: the sound a piece starts from (see PresetLibrary for storage)
+    static PRESET_FORMAT = 'drone-preset';
+    static PRESET_VERSION = 1;
+    static PRESET_FADE_TIME = 0.6;  // Seconds for a preset switch (voices out and back in)
+
+    // The 'reverb' unit is either generated ('algorithmic') or an IR convolver ('convolution')
+    static REVERB_MODES = ['algorithmic', 'convolution'];
+
+    /**
+     * @param {Object} [options]
+     * @param {Tone.BaseContext} [options.context] - Context to build the graph on, e.g. a
+     *   Tone.OfflineContext for rendering (defaults to the global context)
+     * @param {number} [options.seed] - Seed for the voices' drift and unison randomness
+     * @param {Array<Object>} [options.effects] - Initial effects chain (defaults to DEFAULT_EFFECTS)
+     */
+    constructor({ context = Tone.getContext(), seed = 1, effects = AudioEngine.DEFAULT_EFFECTS } = {}) {
+        this.context = context;
+        this.offline = context instanceof Tone.OfflineContext;
+        this.seed = seed;
+        this.initialEffects = effects;
+
+        // Drone voices rendered by a single AudioWorklet node
+        this.timbreBanks = AudioEngine.DEFAULT_TIMBRE_BANKS.map(bank => ({ ...bank }));
+        this.droneVoice = null;       // AudioWorkletNode (see src/worklets/droneVoiceProcessor.js)
+        this.voiceFrequencies = [];   // Tone.Param per voice frequency
+        this.voiceParams = null;      // Tone.Params: morph, spread, driftDepth, driftRate
+        this.voiceMixer = null;       // Gain for mixing voices
 
         // Effects chain
-        this.filter = null;         // Lowpass (controlled by intensity)
-        this.chorus = null;         // Chorus (controlled by width)
-        this.stereoWidener = null;  // Stereo spread (controlled by width)
-        this.reverb = null;         // Choir ambience
+        this.effects = null;        // EffectsRack between the voice mixer and master gain
         this.masterGain = null;
+        this.masterBus = null;      // Compressor, soft clipper, limiter and meter before the output
+        this.analyzer = new AudioAnalyzer({ context });  // Output features for audio-reactive visuals
+        this.rhythm = new RhythmSection(this);  // Optional gate, arpeggiator and tempo-locked LFOs
+        this.lead = new LeadVoice(this);        // Optional theremin-style lead above the drone
+        this.liveInput = new LiveInput(this);   // Optional mic / line / file input with key detection
 
         // State machine
         this.state = AudioEngine.STATE.UNINITIALIZED;
@@ -54,13 +121,36 @@ class AudioEngine {
         this.lastValidWidth = 0;
         this.lastValidVolume = 0.5;  // 0.5 → gain 0.25, matches hardcoded init value
 
+        // Output muted by the lifecycle (tab hidden, interruption); setVolume only records
+        this.outputMuted = false;
+
         // Key state
         this.currentKey = 'C';
         this.isMinor = false;
-        this.glideTime = 0.5;  // Configurable transition time in seconds
+        this.glideTime = AudioEngine.DEFAULT_GLIDE.time;  // Configurable transition time in seconds
+        this.glideStagger = AudioEngine.DEFAULT_GLIDE.stagger;  // Extra glide time per voice, in order of how far it moves
+        this.glideCurve = AudioEngine.DEFAULT_GLIDE.curve;
+        this.voiceLeading = AudioEngine.DEFAULT_GLIDE.voiceLeading;  // 'parallel' moves voice i to chord tone i
+
+        // Macro ranges (see DEFAULT_RANGES), replaced by presets
+        this.ranges = this._copyRanges(AudioEngine.DEFAULT_RANGES);
+        this.presetName = null;
+        this.presetQueue = Promise.resolve();  // Preset switches run one at a time
+
+        // Tuning shared with the key overlay labels
+        this.tuning = new Tuning();
+
+        // Chord state (see ChordLibrary for available qualities and voicings)
+        this.currentRoot = 'C';
+        this.currentQuality = 'major';
+        this.currentVoicing = AudioEngine.DEFAULT_VOICING;
+        this.voiceCount = AudioEngine.DEFAULT_VOICE_COUNT;
 
         // C major chord voicing: C3, G3, C4, E4
-        this.baseFreqs = [130.81, 196.00, 261.63, 329.63];
+        this.baseFreqs = this._chordFrequencies('C', 'major', this.currentVoicing, this.voiceCount);
+
+        // Optional sub-bass / pedal tone under the voices (needs the root and tuning above)
+        this.pedal = new PedalLayer(this);
     }
 
     // Convenience getter for backwards compatibility
@@ -81,6 +171,84 @@ class AudioEngine {
         return Math.max(min, Math.min(max, value));
     }
 
+    _copyRanges(ranges) {
+        const copy = {};
+        Object.entries(ranges).forEach(([name, range]) => { copy[name] = [...range]; });
+        return copy;
+    }
+
+    // Position 0–1 within one of this.ranges
+    _rangeValue(name, amount) {
+        const [from, to] = this.ranges[name];
+        return from + (to - from) * amount;
+    }
+
+    // Frequencies for a chord, one per voice, rooted in octave 3 and tuned by this.tuning
+    _chordFrequencies(root, quality, voicing, voiceCount) {
+        const rootMidi = Tuning.midiNote(ChordLibrary.NOTE_INDEX[root], AudioEngine.ROOT_OCTAVE);
+        return ChordLibrary.voice(quality, voicing, voiceCount)
+            .map(semitones => this.tuning.frequency(rootMidi + semitones, rootMidi));
+    }
+
+    // Create the worklet voice node and wrap its AudioParams for Tone-style ramps
+    async _createDroneVoice() {
+        const context = this.context;
+        await WorkletLoader.load(context, AudioEngine.WORKLET_URL, [AudioEngine.WORKLET_NAME]);
+
+        const frequencyData = {};
+        for (let i = 0; i < AudioEngine.MAX_VOICES; i++) {
+            frequencyData[`freq${i}`] = this.baseFreqs[Math.min(i, this.baseFreqs.length - 1)];
+        }
+
+        this.droneVoice = WorkletLoader.createNode(context, AudioEngine.WORKLET_NAME, {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            parameterData: {
+                ...frequencyData,
+                morph: this._clamp(this.lastValidIntensity, 0, 1),
+                spread: 20,       // cents
+                driftDepth: 3,    // cents
+                driftRate: 1
+            },
+            processorOptions: {
+                waveforms: this.timbreBanks.map(bank => bank.type),
+                voiceCount: this.voiceCount,
+                seed: this.seed
+            }
+        });
+        Tone.connect(this.droneVoice, this.voiceMixer);
+
+        const wrap = (name, units) => new Tone.Param({
+            context,
+            param: this.droneVoice.parameters.get(name),
+            units
+        });
+        this.voiceFrequencies = [];
+        for (let i = 0; i < AudioEngine.MAX_VOICES; i++) {
+            this.voiceFrequencies.push(wrap(`freq${i}`, 'frequency'));
+        }
+        this.voiceParams = {
+            morph: wrap('morph', 'normalRange'),
+            spread: wrap('spread', 'cents'),
+            driftDepth: wrap('driftDepth', 'cents'),
+            driftRate: wrap('driftRate', 'positive')
+        };
+    }
+
+    // Stop the worklet voice and release its params
+    _disposeDroneVoice() {
+        if (!this.droneVoice) return;
+
+        this.droneVoice.port.postMessage({ type: 'stop' });
+        this.droneVoice.disconnect();
+        this.voiceFrequencies.forEach(param => param.dispose());
+        Object.values(this.voiceParams).forEach(param => param.dispose());
+        this.droneVoice = null;
+        this.voiceFrequencies = [];
+        this.voiceParams = null;
+    }
+
     async init() {
         // Already initialized
         if (this.state === AudioEngine.STATE.INITIALIZED) {
@@ -100,104 +268,60 @@ class AudioEngine {
 
     async _doInit() {
         try {
-            // Unlock iOS audio if needed
-            if (window.iosAudioUnlock) {
-                await window.iosAudioUnlock.unlock();
-            }
+            // An offline context renders on demand and needs no unlock or user gesture
+            if (!this.offline) {
+                // Unlock iOS audio if needed
+                if (window.iosAudioUnlock) {
+                    await window.iosAudioUnlock.unlock();
+                }
 
-            await Tone.start();
+                await Tone.start();
+            }
             debugLog('Audio engine starting...');
 
-            // Build effects chain from output to input:
-            // Master gain → Destination
-            this.masterGain = new Tone.Gain(0.25).toDestination();
-
-            // Reverb → Master gain (choir ambience)
-            this.reverb = new Tone.Reverb({
-                decay: 4,
-                wet: 0.35
-            }).connect(this.masterGain);
-            await this.reverb.generate();
-
-            // Stereo widener → Reverb
-            this.stereoWidener = new Tone.StereoWidener({
-                width: 0.5
-            }).connect(this.reverb);
-
-            // Chorus → Stereo widener
-            this.chorus = new Tone.Chorus({
-                frequency: 2.5,
-                delayTime: 3.5,
-                depth: 0.5,
-                wet: 0.6
-            }).connect(this.stereoWidener);
-            this.chorus.start();
-
-            // Filter → Chorus
-            this.filter = new Tone.Filter({
-                type: 'lowpass',
-                frequency: 400,
-                Q: 1.5
-            }).connect(this.chorus);
-
-            // Voice mixer → Filter
-            this.voiceMixer = new Tone.Gain(0.6).connect(this.filter);
-
-            // Create gain nodes for dual-channel crossfade
-            this.roundedGain = new Tone.Gain(1.0).connect(this.voiceMixer);   // Starts at full
-            this.saturatedGain = new Tone.Gain(0.0).connect(this.voiceMixer); // Starts at zero
-
-            // Create rounded voices (triangle - warm, mellow)
-            this.baseFreqs.forEach((freq, i) => {
-                const voice = new Tone.FatOscillator({
-                    type: 'triangle',
-                    frequency: freq,
-                    count: 3,
-                    spread: 20
-                }).connect(this.roundedGain);
-
-                // Slow pitch drift LFO (different rate per voice for organic feel)
-                const lfoFreq = 0.08 + (i * 0.02); // 0.08, 0.10, 0.12, 0.14 Hz
-                const lfo = new Tone.LFO({
-                    type: 'sine',
-                    frequency: lfoFreq,
-                    min: -3,  // cents
-                    max: 3    // cents
-                });
-                lfo.connect(voice.detune);
-
-                this.roundedVoices.push(voice);
-                this.roundedLFOs.push(lfo);
-
-                voice.start();
-                lfo.start();
-            });
+            const context = this.context;
 
-            // Create saturated voices (sawtooth - bright, aggressive)
-            this.baseFreqs.forEach((freq, i) => {
-                const voice = new Tone.FatOscillator({
-                    type: 'sawtooth',
-                    frequency: freq,
-                    count: 3,
-                    spread: 20
-                }).connect(this.saturatedGain);
-
-                // Slow pitch drift LFO (slightly different rates for variation)
-                const lfoFreq = 0.09 + (i * 0.02); // 0.09, 0.11, 0.13, 0.15 Hz
-                const lfo = new Tone.LFO({
-                    type: 'sine',
-                    frequency: lfoFreq,
-                    min: -3,  // cents
-                    max: 3    // cents
-                });
-                lfo.connect(voice.detune);
-
-                this.saturatedVoices.push(voice);
-                this.saturatedLFOs.push(lfo);
-
-                voice.start();
-                lfo.start();
-            });
+            // Build effects chain from output to input:
+            // Master bus (dynamics + meter) → Destination
+            this.masterBus = new MasterBus({ context });
+            await this.masterBus.init();
+            this.masterBus.output.toDestination();
+
+            // Master gain → Master bus
+            this.masterGain = new Tone.Gain({ context, gain: this.outputMuted ? 0 : 0.25 }).connect(this.masterBus.input);
+
+            // Master gain → Analyzer (visuals follow what is heard)
+            this.analyzer.init();
+            this.masterGain.connect(this.analyzer.input);
+
+            // Pedal layer → Master gain (dry, so the sub stays out of the chorus and reverb)
+            this.pedal.init();
+            this.pedal.output.connect(this.masterGain);
+
+            // Effects rack → Master gain (filter → chorus → widener → reverb by default)
+            this.effects = new EffectsRack(context);
+            this.effects.output.connect(this.masterGain);
+            await this.effects.setChain(this.initialEffects);
+
+            // Rhythm section (gate + arpeggiator) and lead voice → Effects rack;
+            // the gated voices also key the pedal's ducking
+            this.rhythm.init();
+            this.rhythm.output.connect(this.effects.input);
+            // A ?lfo= lock set before start reaches every LFO unit of the first chain
+            this.rhythm.applyLfoSync();
+            this.rhythm.output.connect(this.pedal.sidechain);
+            this.lead.init();
+            this.lead.output.connect(this.effects.input);
+
+            // Live input → Effects rack (silent until a source is opened)
+            this.liveInput.init();
+            this.liveInput.output.connect(this.effects.input);
+
+            // Voice mixer → Rhythm section
+            this.voiceMixer = new Tone.Gain({ context, gain: AudioEngine.VOICE_MIXER_LEVEL }).connect(this.rhythm.input);
+
+            // Drone voices → Voice mixer
+            await this._createDroneVoice();
 
             this.state = AudioEngine.STATE.INITIALIZED;
             debugLog('Audio engine initialized');
@@ -236,28 +360,18 @@ class AudioEngine {
 
         const w = this._clamp(validWidth, 0, 1);
 
-        // FatOscillator spread: 10-50 cents (apply to both voice banks)
-        const spread = 10 + (w * 40);
-        const allVoices = [...this.roundedVoices, ...this.saturatedVoices];
-        allVoices.forEach(voice => {
-            voice.spread = spread;
-        });
+        // Unison spread: 10-50 cents by default
+        this.voiceParams.spread.rampTo(this._rangeValue('spread', w), 0.1);
 
-        // Chorus frequency: 1-6 Hz
-        const chorusFreq = 1 + (w * 5);
-        this.chorus.frequency.rampTo(chorusFreq, 0.1);
+        // Chorus frequency: 1-6 Hz, unless the rhythm section locks it to the tempo
+        const lockedRate = this.rhythm.getLfoRate();
+        this.effects.setParam('chorus', 'frequency', lockedRate || this._rangeValue('chorusFrequency', w), 0.1);
 
-        // LFO depth: ±2 to ±15 cents (apply to both LFO banks)
-        const lfoDepth = 2 + (w * 13);
-        const allLFOs = [...this.roundedLFOs, ...this.saturatedLFOs];
-        allLFOs.forEach(lfo => {
-            lfo.min = -lfoDepth;
-            lfo.max = lfoDepth;
-        });
+        // Drift depth: ±2 to ±15 cents
+        this.voiceParams.driftDepth.rampTo(this._rangeValue('driftDepth', w), 0.1);
 
         // Stereo width: 0.3-1.0
-        const stereoWidth = 0.3 + (w * 0.7);
-        this.stereoWidener.width.rampTo(stereoWidth, 0.1);
+        this.effects.setParam('widener', 'width', this._rangeValue('stereoWidth', w), 0.1);
     }
 
     setIntensity(intensityAmount) {
@@ -273,21 +387,17 @@ class AudioEngine {
 
         const i = this._clamp(validIntensity, 0, 1);
 
-        // Crossfade between voice banks: rounded fades out, saturated fades in
-        this.roundedGain.gain.rampTo(1 - i, 0.1);
-        this.saturatedGain.gain.rampTo(i, 0.1);
+        // Morph across the timbre banks in order (equal-power between neighbours, in the worklet)
+        this.voiceParams.morph.rampTo(i, AudioEngine.BANK_FADE_TIME);
 
-        // Filter cutoff: 300-5000 Hz
-        const filterFreq = 300 + (i * 4700);
-        this.filter.frequency.rampTo(filterFreq, 0.1);
+        // Filter cutoff: 300-5000 Hz by default
+        this.effects.setParam('filter', 'frequency', this._rangeValue('filterFrequency', i), 0.1);
 
         // Filter Q: 1-3
-        const filterQ = 1 + (i * 2);
-        this.filter.Q.rampTo(filterQ, 0.1);
+        this.effects.setParam('filter', 'Q', this._rangeValue('filterQ', i), 0.1);
 
         // Chorus depth: 0.3-0.8
-        const chorusDepth = 0.3 + (i * 0.5);
-        this.chorus.depth = chorusDepth;
+        this.effects.setParam('chorus', 'depth', this._rangeValue('chorusDepth', i));
     }
 
     setVolume(volumeAmount) {
@@ -299,57 +409,586 @@ class AudioEngine {
             return;
         }
 
+        if (this.outputMuted) return;
+
         const v = this._clamp(validVolume, 0, 1);
         // Map 0–1 to gain 0–0.5 (0.5 * 0.5 = 0.25 = current default)
         this.masterGain.gain.rampTo(v * 0.5, 0.05);
     }
 
+    /**
+     * Fade the output to silence without losing the volume setting
+     * @param {number} [fadeTime] - Seconds
+     */
+    muteOutput(fadeTime = 0.03) {
+        this.outputMuted = true;
+        if (!this.isInitialized) return;
+        const gain = this.masterGain.gain;
+        gain.cancelAndHoldAtTime(this.context.now());
+        gain.rampTo(0, fadeTime);
+    }
+
+    /**
+     * Fade the output back to the last volume set with setVolume
+     * @param {number} [fadeTime] - Seconds
+     */
+    restoreOutput(fadeTime = 0.5) {
+        this.outputMuted = false;
+        if (!this.isInitialized) return;
+        const gain = this.masterGain.gain;
+        gain.cancelAndHoldAtTime(this.context.now());
+        gain.rampTo(this._clamp(this.lastValidVolume, 0, 1) * 0.5, fadeTime);
+    }
+
+    /**
+     * Replace the effects chain, crossfading from the current one
+     * @param {Array<{id?: string, type: string, mix?: number, bypassed?: boolean, params?: Object}>} specs
+     */
+    async setEffects(specs) {
+        if (!this.isInitialized) {
+            console.warn('setEffects called before audio init');
+            return;
+        }
+        await this.effects.setChain(specs);
+        // Re-apply the gesture mappings and tempo-locked rates to the units the new chain has
+        this.setWidth(this.lastValidWidth);
+        this.setIntensity(this.lastValidIntensity);
+        this.rhythm.applyLfoSync();
+    }
+
+    // Final output node (after the master bus), for recording and analysis taps
+    getOutputNode() {
+        return this.masterBus ? this.masterBus.output : null;
+    }
+
+    /**
+     * Features of the sound for the visuals (see AudioAnalyzer.analyze)
+     * @returns {Object|null} null before init
+     */
+    getAnalysis() {
+        return this.isInitialized ? this.analyzer.analyze() : null;
+    }
+
+    /**
+     * Latest master output readings: momentary/short-term/integrated LUFS,
+     * true peak (dBTP) and limiter gain reduction (dB)
+     * @returns {Object|null} null before init
+     */
+    getLevels() {
+        return this.masterBus ? this.masterBus.getLevels() : null;
+    }
+
+    /**
+     * Switch the 'reverb' unit between the generated reverb and the IR convolver
+     * The unit keeps its mix and position in the chain; loaded IRs are kept while
+     * the convolver stays in the chain.
+     * @param {string} mode - One of AudioEngine.REVERB_MODES
+     * @returns {Promise<boolean>} false if the mode is unknown or the chain has no reverb
+     */
+    async setReverbMode(mode) {
+        if (!AudioEngine.REVERB_MODES.includes(mode)) {
+            console.warn(`Unknown reverb mode: ${mode}`);
+            return false;
+        }
+        if (!this.isInitialized || !this.effects.has('reverb')) {
+            console.warn('setReverbMode needs an initialized engine with a reverb unit');
+            return false;
+        }
+
+        const type = mode === 'convolution' ? 'convolver' : 'reverb';
+        const current = this.effects.getSpec('reverb');
+        if (current.type === type) return true;
+
+        const specs = this.effects.getState().map(spec => (
+            spec.id === 'reverb' ? { id: 'reverb', type, mix: spec.mix, bypassed: spec.bypassed } : spec
+        ));
+        await this.effects.setChain(specs);
+        this.setWidth(this.lastValidWidth);
+        return true;
+    }
+
+    getReverbMode() {
+        const spec = this.effects && this.effects.getSpec('reverb');
+        return spec && spec.type === 'convolver' ? 'convolution' : 'algorithmic';
+    }
+
+    /**
+     * Load an impulse response (WAV/OGG) and switch to convolution reverb
+     * Without a slot, the IR goes into the faded-out slot and the reverb morphs over to it.
+     * @param {File|string} source - File from a picker/drop, URL, or file name in impulses/
+     * @param {Object} [options]
+     * @param {string} [options.slot] - 'a' or 'b' to load without switching
+     * @returns {Promise<string>} Name of the loaded IR
+     */
+    async loadImpulseResponse(source, { slot } = {}) {
+        if (slot && !['a', 'b'].includes(slot)) {
+            throw new Error(`Unknown reverb slot: ${slot}`);
+        }
+        // Decode before switching, so a slow or failed load leaves the current reverb playing
+        const { buffer, name } = await ConvolutionReverb.decode(source, this.context);
+        if (!await this.setReverbMode('convolution')) {
+            throw new Error('Convolution reverb unavailable');
+        }
+
+        const reverb = this.effects.getNode('reverb');
+        const target = slot || reverb.inactiveSlot();
+        reverb.setBuffer(target, buffer, name);
+        if (!slot) {
+            this.effects.setParam('reverb', 'morph', target === 'b' ? 1 : 0, ConvolutionReverb.SWITCH_TIME);
+        }
+        debugLog(`Impulse response ${name} loaded into slot ${target}`);
+        return name;
+    }
+
+    // Loaded IR names and morph position, or null in algorithmic mode
+    getImpulseResponses() {
+        if (this.getReverbMode() !== 'convolution') return null;
+        const reverb = this.effects.getNode('reverb');
+        return reverb ? reverb.getState() : null;
+    }
+
+    /**
+     * Fill in a preset's missing or invalid fields from the defaults
+     * @param {Object} preset - { name, key, voicing, voices, timbreBanks, glide, ranges, effects }
+     * @returns {Object} Complete preset
+     */
+    static normalizePreset(preset = {}) {
+        const ranges = {};
+        Object.entries(AudioEngine.DEFAULT_RANGES).forEach(([name, range]) => {
+            const given = preset.ranges && preset.ranges[name];
+            const valid = Array.isArray(given) && given.length === 2 &&
+                given.every(v => typeof v === 'number' && isFinite(v));
+            ranges[name] = valid ? [...given] : [...range];
+        });
+
+        const banks = Array.isArray(preset.timbreBanks) && preset.timbreBanks.length > 0 &&
+            preset.timbreBanks.every(bank => bank && AudioEngine.BANK_TYPES.includes(bank.type))
+            ? preset.timbreBanks
+            : AudioEngine.DEFAULT_TIMBRE_BANKS;
+
+        const key = typeof preset.key === 'string' && ChordLibrary.hasRoot(ChordLibrary.parseKey(preset.key).root)
+            ? preset.key
+            : 'C';
+
+        const effects = (Array.isArray(preset.effects) ? preset.effects : AudioEngine.DEFAULT_EFFECTS)
+            .filter(spec => {
+                if (spec && EffectsRack.UNITS[spec.type]) return true;
+                console.warn(`Preset skips unknown effect type: ${spec && spec.type}`);
+                return false;
+            })
+            .map(spec => ({ ...spec, params: { ...spec.params } }));
+
+        const voices = typeof preset.voices === 'number' && isFinite(preset.voices)
+            ? Math.round(Math.max(ChordLibrary.MIN_VOICES, Math.min(ChordLibrary.MAX_VOICES, preset.voices)))
+            : AudioEngine.DEFAULT_VOICE_COUNT;
+
+        return {
+            format: AudioEngine.PRESET_FORMAT,
+            version: AudioEngine.PRESET_VERSION,
+            name: typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim() : 'Untitled',
+            key,
+            voicing: ChordLibrary.hasVoicing(preset.voicing) ? preset.voicing : AudioEngine.DEFAULT_VOICING,
+            voices,
+            timbreBanks: banks.map(bank => ({ name: bank.name || bank.type, type: bank.type })),
+            glide: { ...AudioEngine.DEFAULT_GLIDE, ...preset.glide },
+            ranges,
+            effects
+        };
+    }
+
+    /**
+     * Snapshot the current sound as a preset
+     * @param {string} [name]
+     * @returns {Object}
+     */
+    getPreset(name = this.presetName || 'Untitled') {
+        return AudioEngine.normalizePreset({
+            name,
+            key: this.currentKey,
+            voicing: this.currentVoicing,
+            voices: this.voiceCount,
+            timbreBanks: this.timbreBanks,
+            glide: {
+                time: this.glideTime,
+                stagger: this.glideStagger,
+                curve: this.glideCurve,
+                voiceLeading: this.voiceLeading
+            },
+            ranges: this.ranges,
+            effects: this.effects ? this.effects.getState() : this.initialEffects
+        });
+    }
+
+    /**
+     * Switch to a preset
+     * The voices fade out while the new effects chain crossfades in, the timbre, chord
+     * and ranges change while silent, then the voices fade back in. Before init the
+     * preset simply becomes the starting sound.
+     * @param {Object} preset - See normalizePreset
+     * @param {Object} [options]
+     * @param {number} [options.fadeTime] - Seconds for the whole switch
+     * @returns {Promise<Object>} The normalized preset
+     */
+    applyPreset(preset, { fadeTime = AudioEngine.PRESET_FADE_TIME } = {}) {
+        const normalized = AudioEngine.normalizePreset(preset);
+        const apply = this.presetQueue.then(() => this._switchPreset(normalized, Math.max(0, fadeTime)));
+        // A failed switch must not block later ones
+        this.presetQueue = apply.catch(err => debugLog('Preset switch failed:', err));
+        return apply.then(() => normalized);
+    }
+
+    async _switchPreset(preset, fadeTime) {
+        const { root, quality } = ChordLibrary.parseKey(preset.key);
+        const chord = { root, quality, voicing: preset.voicing, voices: preset.voices };
+        this.presetName = preset.name;
+
+        if (!this.isInitialized) {
+            this.ranges = preset.ranges;
+            this.initialEffects = preset.effects;
+            this.setTimbreBanks(preset.timbreBanks);
+            this.setChord(chord);
+            this.setGlide(preset.glide);
+            return;
+        }
+
+        const half = fadeTime / 2;
+        const level = this.voiceMixer.gain;
+        level.cancelAndHoldAtTime(this.context.now());
+        level.rampTo(0, half);
+        const chain = this.effects.setChain(preset.effects);
+        await new Promise(resolve => setTimeout(resolve, half * 1000));
+
+        // Silent now: jump straight to the new chord instead of gliding
+        this.ranges = preset.ranges;
+        this.setTimbreBanks(preset.timbreBanks);
+        this.setGlide({ time: 0, stagger: 0 });
+        this.setChord(chord);
+        this.setGlide(preset.glide);
+
+        try {
+            await chain;
+        } finally {
+            // Re-apply the gesture macros over the new ranges and chain, then fade back in
+            this.setWidth(this.lastValidWidth);
+            this.setIntensity(this.lastValidIntensity);
+            this.rhythm.applyLfoSync();
+            level.cancelAndHoldAtTime(this.context.now());
+            level.rampTo(AudioEngine.VOICE_MIXER_LEVEL, half);
+        }
+        debugLog(`Preset switched to ${preset.name}`);
+    }
+
+    /**
+     * Replace the ordered list of timbre banks that setIntensity morphs across
+     * @param {Array<{name?: string, type: string}>} banks - Types from AudioEngine.BANK_TYPES
+     */
+    setTimbreBanks(banks) {
+        if (!Array.isArray(banks) || banks.length === 0) {
+            console.warn('Timbre banks must be a non-empty array');
+            return;
+        }
+        const unknown = banks.find(bank => !AudioEngine.BANK_TYPES.includes(bank.type));
+        if (unknown) {
+            console.warn(`Unknown timbre bank type: ${unknown.type}`);
+            return;
+        }
+
+        this.timbreBanks = banks.map(bank => ({ name: bank.name || bank.type, type: bank.type }));
+
+        if (!this.isInitialized) {
+            return;
+        }
+
+        this.droneVoice.port.postMessage({
+            type: 'waveforms',
+            waveforms: this.timbreBanks.map(bank => bank.type)
+        });
+    }
+
+    /**
+     * Configure how voices move on key and chord changes
+     * @param {Object} options
+     * @param {number} [options.time] - Base glide time in seconds
+     * @param {number} [options.stagger] - Extra seconds added per voice, smallest move first
+     * @param {string} [options.curve] - One of AudioEngine.GLIDE_CURVES
+     * @param {string} [options.voiceLeading] - One of AudioEngine.VOICE_LEADING_MODES
+     */
+    setGlide({ time, stagger, curve, voiceLeading } = {}) {
+        if (time !== undefined) {
+            this.glideTime = Math.max(0, this._validateNumber(time, this.glideTime));
+        }
+        if (stagger !== undefined) {
+            this.glideStagger = Math.max(0, this._validateNumber(stagger, this.glideStagger));
+        }
+        if (curve !== undefined) {
+            if (AudioEngine.GLIDE_CURVES.includes(curve)) {
+                this.glideCurve = curve;
+            } else {
+                console.warn(`Unknown glide curve: ${curve}`);
+            }
+        }
+        if (voiceLeading !== undefined) {
+            if (AudioEngine.VOICE_LEADING_MODES.includes(voiceLeading)) {
+                this.voiceLeading = voiceLeading;
+            } else {
+                console.warn(`Unknown voice leading mode: ${voiceLeading}`);
+            }
+        }
+    }
+
+    /**
+     * Assign each voice to the nearest chord tone, allowing octave displacement
+     * The lowest voice always takes the lowest chord tone so the bass keeps the root.
+     * @param {number[]} currentFreqs - Current frequency of each voice
+     * @param {number[]} targetFreqs - Voiced chord, same length as currentFreqs
+     * @returns {number[]} Target frequency for each voice, in voice order
+     */
+    _leadVoices(currentFreqs, targetFreqs) {
+        const count = currentFreqs.length;
+        const targets = [...targetFreqs].sort((a, b) => a - b);
+        const distance = (a, b) => Math.abs(Math.log2(a / b));
+
+        // Pin the bass: the lowest current voice takes the lowest chord tone as voiced
+        let bassVoice = 0;
+        currentFreqs.forEach((freq, i) => {
+            if (freq < currentFreqs[bassVoice]) bassVoice = i;
+        });
+        const upperVoices = currentFreqs.map((_, i) => i).filter(i => i !== bassVoice);
+        const upperTargets = targets.slice(1);
+
+        // Best octave placement of every upper target for every upper voice
+        const options = upperVoices.map(v => upperTargets.map(target => {
+            let best = { freq: target, shift: 0, cost: distance(currentFreqs[v], target) };
+            [-1, 1].forEach(shift => {
+                const freq = target * Math.pow(2, shift);
+                const cost = distance(currentFreqs[v], freq);
+                if (cost < best.cost) best = { freq, shift, cost };
+            });
+            return best;
+        }));
+
+        // Minimum total movement assignment (bitmask DP, at most 7 upper voices)
+        const n = upperVoices.length;
+        const size = 1 << n;
+        const cost = new Array(size).fill(Infinity);
+        const choice = new Array(size).fill(-1);
+        cost[0] = 0;
+        for (let mask = 0; mask < size; mask++) {
+            if (cost[mask] === Infinity) continue;
+            const v = this._bitCount(mask);
+            if (v >= n) continue;
+            for (let t = 0; t < n; t++) {
+                if (mask & (1 << t)) continue;
+                const next = mask | (1 << t);
+                const total = cost[mask] + options[v][t].cost;
+                if (total < cost[next]) {
+                    cost[next] = total;
+                    choice[next] = t;
+                }
+            }
+        }
+
+        const assignment = new Array(n);
+        for (let mask = size - 1, v = n - 1; v >= 0; v--) {
+            const t = choice[mask];
+            assignment[v] = { ...options[v][t], target: upperTargets[t] };
+            mask &= ~(1 << t);
+        }
+
+        // An octave shift can land on another chord tone; put displaced voices back
+        const result = new Array(count);
+        result[bassVoice] = targets[0];
+        let collided = true;
+        while (collided) {
+            collided = false;
+            const freqs = [targets[0], ...assignment.map(a => a.freq)];
+            for (let v = 0; v < n && !collided; v++) {
+                const duplicate = freqs.findIndex((f, i) => i !== v + 1 && Math.abs(f - assignment[v].freq) < 0.01);
+                if (duplicate !== -1 && assignment[v].shift !== 0) {
+                    assignment[v] = { ...assignment[v], freq: assignment[v].target, shift: 0 };
+                    collided = true;
+                }
+            }
+        }
+
+        upperVoices.forEach((voiceIndex, v) => {
+            result[voiceIndex] = assignment[v].freq;
+        });
+        return result;
+    }
+
+    _bitCount(mask) {
+        let count = 0;
+        for (let m = mask; m; m &= m - 1) count++;
+        return count;
+    }
+
+    // Glide each voice to its new frequency, staggered so the smallest moves land first
+    _glideVoices(fromFreqs, toFreqs) {
+        const order = toFreqs
+            .map((freq, i) => ({ i, move: Math.abs(Math.log2(freq / fromFreqs[i])) }))
+            .sort((a, b) => a.move - b.move)
+            .map(entry => entry.i);
+
+        order.forEach((voiceIndex, rank) => {
+            const duration = this.glideTime + rank * this.glideStagger;
+            this._glideParam(this.voiceFrequencies[voiceIndex], toFreqs[voiceIndex], duration, this.glideCurve);
+        });
+    }
+
+    // Ramp a frequency param along the given glide curve, starting from its current value
+    _glideParam(param, value, duration, curve) {
+        const now = this.context.now();
+        param.cancelAndHoldAtTime(now);
+
+        if (duration <= 0) {
+            param.setValueAtTime(value, now);
+            return;
+        }
+
+        if (curve === 'linear') {
+            param.linearRampToValueAtTime(value, now + duration);
+        } else if (curve === 'exponential') {
+            param.exponentialRampToValueAtTime(value, now + duration);
+        } else {
+            // S-curve: smoothstep in log-frequency so the pitch eases in and out
+            const start = param.getValueAtTime(now);
+            const points = [];
+            for (let p = 0; p < AudioEngine.SCURVE_POINTS; p++) {
+                const t = p / (AudioEngine.SCURVE_POINTS - 1);
+                const eased = t * t * (3 - 2 * t);
+                points.push(start * Math.pow(value / start, eased));
+            }
+            param.setValueCurveAtTime(points, now, duration);
+        }
+    }
+
     setKey(keyName) {
         // Parse key name (e.g., 'Am' → root='A', minor=true)
-        const isMinor = keyName.endsWith('m');
-        const rootName = isMinor ? keyName.slice(0, -1) : keyName;
+        const { root, quality } = ChordLibrary.parseKey(keyName);
+        this.setChord({ root, quality });
+    }
 
-        // Get root frequency
-        const rootFreq = AudioEngine.ROOT_FREQUENCIES[rootName];
-        if (rootFreq === undefined) {
-            console.warn(`Unknown key: ${keyName}`);
+    /**
+     * Change the chord played by the drone voices
+     * Omitted fields keep their current value. When the voice count changes, added
+     * voices fade in at their new pitch; otherwise every voice glides.
+     * @param {Object} chord
+     * @param {string} [chord.root] - Root note name, e.g. 'F#'
+     * @param {string} [chord.quality] - Key of ChordLibrary.QUALITIES, e.g. 'min9'
+     * @param {string} [chord.voicing] - One of ChordLibrary.VOICINGS
+     * @param {number} [chord.voices] - Number of voices (ChordLibrary.MIN_VOICES–MAX_VOICES)
+     */
+    setChord({ root = this.currentRoot, quality = this.currentQuality,
+               voicing = this.currentVoicing, voices = this.voiceCount } = {}) {
+        if (!ChordLibrary.hasRoot(root)) {
+            console.warn(`Unknown root: ${root}`);
+            return;
+        }
+        if (!ChordLibrary.hasQuality(quality)) {
+            console.warn(`Unknown chord quality: ${quality}`);
+            return;
+        }
+        if (!ChordLibrary.hasVoicing(voicing)) {
+            console.warn(`Unknown voicing: ${voicing}`);
             return;
         }
 
-        // Calculate chord frequencies
-        const intervals = isMinor ? AudioEngine.MINOR_INTERVALS : AudioEngine.MAJOR_INTERVALS;
-        const newFreqs = intervals.map(ratio => rootFreq * ratio);
+        const voiceCount = Math.round(this._clamp(
+            this._validateNumber(voices, this.voiceCount),
+            ChordLibrary.MIN_VOICES,
+            ChordLibrary.MAX_VOICES
+        ));
+
+        // Calculate chord frequencies, re-voiced around the current voices when leading
+        const previousFreqs = this.baseFreqs;
+        const countChanged = voiceCount !== previousFreqs.length;
+        let newFreqs = this._chordFrequencies(root, quality, voicing, voiceCount);
+        if (this.voiceLeading === 'nearest' && !countChanged) {
+            newFreqs = this._leadVoices(previousFreqs, newFreqs);
+        }
 
         // Update state
-        this.currentKey = keyName;
-        this.isMinor = isMinor;
+        this.isMinor = ChordLibrary.isMinor(quality);
+        this.currentRoot = root;
+        this.currentQuality = quality;
+        this.currentVoicing = voicing;
+        this.currentKey = ChordLibrary.keyName(root, quality);
+        this.voiceCount = voiceCount;
         this.baseFreqs = newFreqs;
+        this.pedal.update();
 
         // If not initialized, frequencies will be applied on init
         if (!this.isInitialized) {
             return;
         }
 
-        // Glide all oscillators to new frequencies
-        this.roundedVoices.forEach((voice, i) => {
-            voice.frequency.rampTo(newFreqs[i], this.glideTime);
-        });
-        this.saturatedVoices.forEach((voice, i) => {
-            voice.frequency.rampTo(newFreqs[i], this.glideTime);
-        });
+        if (countChanged) {
+            // Voices fading in jump straight to pitch; voices already sounding glide
+            newFreqs.forEach((freq, i) => {
+                if (i >= previousFreqs.length) {
+                    this._glideParam(this.voiceFrequencies[i], freq, 0, this.glideCurve);
+                }
+            });
+            this._glideVoices(previousFreqs.slice(0, newFreqs.length), newFreqs.slice(0, previousFreqs.length));
+            this.droneVoice.port.postMessage({ type: 'voiceCount', count: voiceCount });
+        } else {
+            this._glideVoices(previousFreqs, newFreqs);
+        }
 
         if (window.DEBUG) {
-            debugLog(`Key changed to ${keyName}: ${newFreqs.map(f => f.toFixed(1)).join(', ')} Hz`);
+            debugLog(`Chord changed to ${root} ${quality} (${voicing}, ${voiceCount} voices): ${newFreqs.map(f => f.toFixed(1)).join(', ')} Hz`);
         }
     }
 
+    /**
+     * Switch tuning mode and glide the current chord into the new tuning
+     * @param {string} mode - One of Tuning.MODES ('scala' requires a loaded scale)
+     */
+    setTuning(mode) {
+        if (this.tuning.setMode(mode)) {
+            this._retune();
+        }
+    }
+
+    // Reference pitch for A4 in Hz (e.g. 415, 432, 440, 442)
+    setReferencePitch(hz) {
+        if (this.tuning.setReferencePitch(hz)) {
+            this._retune();
+        }
+    }
+
+    /**
+     * Load a Scala .scl (switches to scala mode) or .kbm file and retune
+     * @param {File|string} source - File from a picker/drop, or a URL
+     */
+    async loadTuningFile(source) {
+        await this.tuning.loadFile(source);
+        this._retune();
+    }
+
+    // Re-apply the current chord so every voice glides to its newly tuned pitch
+    _retune() {
+        this.setChord({});
+    }
+
     getCurrentKey() {
         return this.currentKey;
     }
 
+    // The gesture-driven parameters, as recorded for offline rendering (see OfflineRenderer)
+    getPerformanceState() {
+        return {
+            key: this.currentKey,
+            intensity: this.lastValidIntensity,
+            width: this.lastValidWidth,
+            volume: this.lastValidVolume
+        };
+    }
+
     /**
      * Gracefully dispose of audio engine to prevent clicks/pops
-     * Ramps down gain, stops oscillators/LFOs, closes AudioContext
+     * Ramps down gain, stops the worklet voices, closes AudioContext
      */
     async dispose() {
         if (this.state !== AudioEngine.STATE.INITIALIZED) {
@@ -359,7 +998,7 @@ class AudioEngine {
         debugLog('Disposing audio engine...');
 
         try {
-            const currentTime = Tone.getContext().currentTime;
+            const currentTime = this.context.currentTime;
             const fadeTime = 0.05; // 50ms fadeout
 
             // Ramp master gain to near-zero (exponentialRampTo needs value > 0)
@@ -370,46 +1009,22 @@ class AudioEngine {
             // Wait for fade to complete
             await new Promise(resolve => setTimeout(resolve, fadeTime * 1000 + 10));
 
-            // Stop all oscillators and LFOs
-            const allVoices = [...this.roundedVoices, ...this.saturatedVoices];
-            const allLFOs = [...this.roundedLFOs, ...this.saturatedLFOs];
-
-            allVoices.forEach(voice => {
-                try {
-                    voice.stop();
-                } catch (e) {
-                    // Oscillator may already be stopped
-                }
-            });
-
-            allLFOs.forEach(lfo => {
-                try {
-                    lfo.stop();
-                } catch (e) {
-                    // LFO may already be stopped
-                }
-            });
-
-            // Stop chorus
-            if (this.chorus) {
-                this.chorus.stop();
-            }
+            // Stop the worklet voices
+            this._disposeDroneVoice();
 
             // Dispose of all Tone.js nodes
-            if (this.reverb) this.reverb.dispose();
-            if (this.stereoWidener) this.stereoWidener.dispose();
-            if (this.chorus) this.chorus.dispose();
-            if (this.filter) this.filter.dispose();
+            if (this.effects) this.effects.dispose();
+            this.rhythm.dispose();
+            this.lead.dispose();
+            this.pedal.dispose();
+            this.liveInput.dispose();
             if (this.voiceMixer) this.voiceMixer.dispose();
-            if (this.roundedGain) this.roundedGain.dispose();
-            if (this.saturatedGain) this.saturatedGain.dispose();
+            this.analyzer.dispose();
             if (this.masterGain) this.masterGain.dispose();
-
-            allVoices.forEach(voice => voice.dispose());
-            allLFOs.forEach(lfo => lfo.dispose());
+            if (this.masterBus) this.masterBus.dispose();
 
             // Close the AudioContext
-            await Tone.getContext().close();
+            await this.context.close();
 
             this.state = AudioEngine.STATE.UNINITIALIZED;
             debugLog('Audio engine disposed');
@@ -0,0 +1,246 @@
+// Audio Lifecycle - Keeps the audio engine alive across tab switches, interruptions and device changes
+// Mutes and suspends the AudioContext when the page is hidden, resumes (re-unlocking iOS
+// audio if needed) when it returns, and restores the last volume with a fade. Anything
+// that needs a user gesture to resume waits for the next tap or key press.
+
+class AudioLifecycle {
+    static STATE = {
+        RUNNING: 'running',
+        HIDDEN: 'hidden',           // Page in the background, output muted and context suspended
+        INTERRUPTED: 'interrupted', // OS took the audio session (call, other app, Siri)
+        SUSPENDED: 'suspended',     // Context stopped; waiting for a tap/key to resume
+        PAUSED: 'paused',           // Output device removed; waiting for a tap/key to resume
+        RESUMING: 'resuming'
+    };
+
+    static FADE_OUT_TIME = 0.03;    // Seconds
+    static FADE_IN_TIME = 0.5;      // Seconds to restore the volume
+    static DEVICE_DIP_TIME = 0.15;  // Seconds muted while the output route changes
+
+    /**
+     * @param {AudioEngine} engine - Initialized engine
+     * @param {Object} [options]
+     * @param {IOSAudioUnlock} [options.unlock] - Defaults to window.iosAudioUnlock
+     * @param {boolean} [options.suspendWhenHidden] - Suspend the context while hidden (saves battery)
+     * @param {boolean} [options.pauseOnDeviceRemoved] - Stay silent after headphones are unplugged
+     */
+    constructor(engine, { unlock = window.iosAudioUnlock, suspendWhenHidden = true, pauseOnDeviceRemoved = true } = {}) {
+        this.engine = engine;
+        this.unlock = unlock;
+        this.suspendWhenHidden = suspendWhenHidden;
+        this.pauseOnDeviceRemoved = pauseOnDeviceRemoved;
+
+        this.state = AudioLifecycle.STATE.RUNNING;
+        this.started = false;
+        this.audioDeviceCount = null;
+
+        // Incremented on every transition so stale async steps can bail out
+        this.transition = 0;
+
+        this.listeners = { state: [], device: [] };
+
+        this._onVisibilityChange = () => {
+            if (document.hidden) {
+                this._hide();
+            } else {
+                this.resume('visible');
+            }
+        };
+        this._onContextStateChange = () => this._contextStateChanged();
+        this._onDeviceChange = () => this._deviceChanged();
+        this._onGesture = () => this.resume('gesture');
+    }
+
+    get rawContext() {
+        return this.engine.context.rawContext;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        this.rawContext.addEventListener('statechange', this._onContextStateChange);
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this._onDeviceChange);
+            this._countAudioDevices().then(count => { this.audioDeviceCount = count; });
+        }
+        debugLog('Audio lifecycle started');
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this.rawContext.removeEventListener('statechange', this._onContextStateChange);
+        if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+        }
+        this._disarmGesture();
+    }
+
+    /**
+     * Subscribe to lifecycle events
+     * 'state': { state, previous, reason } on every state change
+     * 'device': { added, removed } when audio devices change
+     * @returns {Function} Unsubscribe
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            console.warn(`Unknown lifecycle event: ${event}`);
+            return () => {};
+        }
+        this.listeners[event].push(callback);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        };
+    }
+
+    _emit(event, data) {
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (err) {
+                debugLog(`Lifecycle ${event} listener failed:`, err);
+            }
+        });
+    }
+
+    _setState(state, reason) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        debugLog(`Audio lifecycle: ${previous} → ${state} (${reason})`);
+        this._emit('state', { state, previous, reason });
+    }
+
+    async _hide() {
+        const transition = ++this.transition;
+        this._disarmGesture();
+        this.engine.muteOutput(AudioLifecycle.FADE_OUT_TIME);
+        this._setState(AudioLifecycle.STATE.HIDDEN, 'hidden');
+
+        if (!this.suspendWhenHidden) return;
+
+        // Suspend after the fade has reached silence
+        await new Promise(resolve => setTimeout(resolve, AudioLifecycle.FADE_OUT_TIME * 1000 + 20));
+        if (transition !== this.transition) return;
+        try {
+            await this.rawContext.suspend();
+        } catch (err) {
+            debugLog('AudioContext suspend failed:', err);
+        }
+    }
+
+    /**
+     * Resume the context and fade the volume back in
+     * If the browser refuses without a user gesture, waits for the next tap or key press.
+     * @param {string} [reason]
+     * @returns {Promise<boolean>} true when audio is running again
+     */
+    async resume(reason = 'resume') {
+        if (document.hidden) return false;
+
+        const transition = ++this.transition;
+        this._setState(AudioLifecycle.STATE.RESUMING, reason);
+
+        try {
+            if (this.unlock && !this.unlock.isUnlocked) {
+                await this.unlock.unlock();
+            }
+            if (this.rawContext.state !== 'running') {
+                // Some browsers never settle resume() without a gesture; don't wait forever
+                await Promise.race([
+                    this.rawContext.resume(),
+                    new Promise(resolve => setTimeout(resolve, 1000))
+                ]);
+            }
+        } catch (err) {
+            debugLog('AudioContext resume failed:', err);
+        }
+        if (transition !== this.transition) return false;
+
+        if (this.rawContext.state !== 'running') {
+            this._setState(AudioLifecycle.STATE.SUSPENDED, 'gesture-required');
+            this._armGesture();
+            return false;
+        }
+
+        this._disarmGesture();
+        this.engine.restoreOutput(AudioLifecycle.FADE_IN_TIME);
+        this._setState(AudioLifecycle.STATE.RUNNING, reason);
+        return true;
+    }
+
+    // Context state changed outside our control (Safari 'interrupted', OS suspension)
+    _contextStateChanged() {
+        const contextState = this.rawContext.state;
+        if (document.hidden || this.state === AudioLifecycle.STATE.RESUMING) return;
+
+        if (contextState === 'interrupted') {
+            this.transition++;
+            this.engine.muteOutput(0);
+            // The iOS playback session may be gone when the interruption ends
+            if (this.unlock) this.unlock.reset();
+            this._setState(AudioLifecycle.STATE.INTERRUPTED, 'interrupted');
+            // A tap during the interruption restarts audio once the OS allows it
+            this._armGesture();
+        } else if (contextState === 'suspended' && this.state === AudioLifecycle.STATE.RUNNING) {
+            this.engine.muteOutput(0);
+            this.resume('context-suspended');
+        } else if ((contextState === 'running' || contextState === 'suspended') && this.state === AudioLifecycle.STATE.INTERRUPTED) {
+            // iOS often ends an interruption in 'suspended' rather than 'running'
+            this.resume('interruption-ended');
+        }
+    }
+
+    async _countAudioDevices() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices.filter(device => device.kind.startsWith('audio')).length;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Headphones / interfaces plugged or unplugged
+    async _deviceChanged() {
+        const count = await this._countAudioDevices();
+        const previous = this.audioDeviceCount;
+        this.audioDeviceCount = count;
+        if (count === null || previous === null || count === previous) return;
+
+        const removed = count < previous;
+        this._emit('device', { added: !removed, removed });
+        if (document.hidden || this.state !== AudioLifecycle.STATE.RUNNING) return;
+
+        if (removed && this.pauseOnDeviceRemoved) {
+            // Don't let the drone jump from headphones to the speakers
+            this.transition++;
+            this.engine.muteOutput(AudioLifecycle.FADE_OUT_TIME);
+            this._setState(AudioLifecycle.STATE.PAUSED, 'device-removed');
+            this._armGesture();
+            return;
+        }
+
+        // Mask the route switch with a short dip
+        const transition = ++this.transition;
+        this.engine.muteOutput(AudioLifecycle.FADE_OUT_TIME);
+        await new Promise(resolve => setTimeout(resolve, AudioLifecycle.DEVICE_DIP_TIME * 1000));
+        if (transition !== this.transition) return;
+        this.resume('device-changed');
+    }
+
+    _armGesture() {
+        ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+            document.addEventListener(type, this._onGesture);
+        });
+    }
+
+    _disarmGesture() {
+        ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+            document.removeEventListener(type, this._onGesture);
+        });
+    }
+}
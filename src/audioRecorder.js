@@ -0,0 +1,365 @@
+// Audio Recorder - Records the master output to WAV (and optionally WebM/Opus)
+// Taps the engine's final output with an AudioWorklet, so takes are sample-exact and
+// unaffected by key changes or effect rebuilds. A recorder can be armed and then
+// started by the next gesture (see trigger()).
+
+class AudioRecorder {
+    static STATE = {
+        IDLE: 'idle',
+        ARMED: 'armed',
+        RECORDING: 'recording',
+        PAUSED: 'paused'
+    };
+
+    static WORKLET_URL = 'src/worklets/recorderProcessor.js';
+    static WORKLET_NAME = 'recorder-tap';
+    static FORMATS = ['wav', 'webm'];
+    static BIT_DEPTHS = [16, 24, 32];   // 32 = IEEE float
+    static WEBM_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+
+    /**
+     * @param {AudioEngine} engine
+     * @param {Object} [options]
+     * @param {string[]} [options.formats] - Any of AudioRecorder.FORMATS
+     * @param {number} [options.bitDepth] - WAV bit depth, one of AudioRecorder.BIT_DEPTHS
+     * @param {boolean} [options.autoDownload] - Download the files when recording stops
+     */
+    constructor(engine, { formats = ['wav'], bitDepth = 24, autoDownload = true } = {}) {
+        this.engine = engine;
+        this.formats = formats.filter(format => AudioRecorder.FORMATS.includes(format));
+        this.bitDepth = AudioRecorder.BIT_DEPTHS.includes(bitDepth) ? bitDepth : 24;
+        this.autoDownload = autoDownload;
+
+        this.state = AudioRecorder.STATE.IDLE;
+        this.tap = null;               // AudioWorkletNode
+        this.pendingConnect = null;    // Promise while start() is loading the tap
+        this.chunks = [];              // Arrays of per-channel Float32Arrays
+        this.frameCount = 0;
+        this.stopResolver = null;
+
+        this.mediaDestination = null;  // MediaStreamAudioDestinationNode for WebM
+        this.mediaRecorder = null;
+        this.mediaChunks = [];
+
+        this.startKey = null;
+        this.startDate = null;
+
+        this.listeners = { state: [] };
+    }
+
+    get sampleRate() {
+        return this.engine.context.sampleRate;
+    }
+
+    /**
+     * Subscribe to state changes: { state, previous }
+     * @returns {Function} Unsubscribe
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            console.warn(`Unknown recorder event: ${event}`);
+            return () => {};
+        }
+        this.listeners[event].push(callback);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        };
+    }
+
+    _setState(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        debugLog(`Recorder: ${previous} → ${state}`);
+        this.listeners.state.forEach(callback => callback({ state, previous }));
+    }
+
+    // Seconds of audio captured so far
+    getDuration() {
+        return this.frameCount / this.sampleRate;
+    }
+
+    // Wait for the next trigger() (e.g. a gesture) to start recording
+    arm() {
+        if (this.state !== AudioRecorder.STATE.IDLE) return false;
+        this._setState(AudioRecorder.STATE.ARMED);
+        return true;
+    }
+
+    disarm() {
+        if (this.state === AudioRecorder.STATE.ARMED) {
+            this._setState(AudioRecorder.STATE.IDLE);
+        }
+    }
+
+    // Start recording if armed and the engine is running
+    async trigger() {
+        if (this.state !== AudioRecorder.STATE.ARMED || !this.engine.isInitialized) return false;
+        await this.start();
+        return true;
+    }
+
+    async start() {
+        if (this.state === AudioRecorder.STATE.RECORDING || this.state === AudioRecorder.STATE.PAUSED) {
+            return;
+        }
+        if (!this.engine.isInitialized) {
+            throw new Error('Audio engine is not running');
+        }
+
+        // Claim the state before awaiting so repeated triggers don't start twice
+        this._setState(AudioRecorder.STATE.RECORDING);
+        this.pendingConnect = this._connect();
+        try {
+            await this.pendingConnect;
+        } catch (err) {
+            this._setState(AudioRecorder.STATE.IDLE);
+            throw err;
+        } finally {
+            this.pendingConnect = null;
+        }
+
+        this.chunks = [];
+        this.frameCount = 0;
+        this.startKey = this.engine.getCurrentKey();
+        this.startDate = new Date();
+
+        this.tap.port.postMessage({ type: 'record' });
+        if (this.formats.includes('webm')) this._startMediaRecorder();
+    }
+
+    pause() {
+        if (this.state !== AudioRecorder.STATE.RECORDING || this.pendingConnect) return;
+        this.tap.port.postMessage({ type: 'pause' });
+        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') this.mediaRecorder.pause();
+        this._setState(AudioRecorder.STATE.PAUSED);
+    }
+
+    resume() {
+        if (this.state !== AudioRecorder.STATE.PAUSED) return;
+        this.tap.port.postMessage({ type: 'record' });
+        if (this.mediaRecorder && this.mediaRecorder.state === 'paused') this.mediaRecorder.resume();
+        this._setState(AudioRecorder.STATE.RECORDING);
+    }
+
+    togglePause() {
+        if (this.state === AudioRecorder.STATE.RECORDING) {
+            this.pause();
+        } else if (this.state === AudioRecorder.STATE.PAUSED) {
+            this.resume();
+        }
+    }
+
+    /**
+     * Stop recording and encode the take
+     * @returns {Promise<Array<{blob: Blob, filename: string}>>} One file per format
+     */
+    async stop() {
+        if (this.state === AudioRecorder.STATE.ARMED) {
+            this.disarm();
+            return [];
+        }
+        if (this.state !== AudioRecorder.STATE.RECORDING && this.state !== AudioRecorder.STATE.PAUSED) {
+            return [];
+        }
+
+        // A start() still loading the tap finishes first; if it failed there is nothing to stop
+        if (this.pendingConnect) {
+            await this.pendingConnect.catch(() => {});
+            if (!this.tap || this.state === AudioRecorder.STATE.IDLE) return [];
+        }
+
+        // Wait for the worklet to flush its last partial chunk
+        const stopped = new Promise(resolve => { this.stopResolver = resolve; });
+        this.tap.port.postMessage({ type: 'stop' });
+        const [, webm] = await Promise.all([stopped, this._stopMediaRecorder()]);
+        this._setState(AudioRecorder.STATE.IDLE);
+
+        const files = [];
+        const basename = this._basename();
+        if (this.formats.includes('wav')) {
+            const channels = this._joinChunks();
+            files.push({
+                blob: AudioRecorder.encodeWav(channels, this.sampleRate, this.bitDepth),
+                filename: `${basename}.wav`
+            });
+        }
+        if (webm) {
+            const extension = webm.type.includes('ogg') ? 'ogg' : 'webm';
+            files.push({ blob: webm, filename: `${basename}.${extension}` });
+        }
+        this.chunks = [];
+
+        if (this.autoDownload) {
+            files.forEach(file => AudioRecorder.download(file.blob, file.filename));
+        }
+        return files;
+    }
+
+    async _connect() {
+        if (this.tap) return;
+        const context = this.engine.context;
+        await WorkletLoader.load(context, AudioRecorder.WORKLET_URL, [AudioRecorder.WORKLET_NAME]);
+
+        this.tap = WorkletLoader.createNode(context, AudioRecorder.WORKLET_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit',
+            processorOptions: { channelCount: 2 }
+        });
+        this.tap.port.onmessage = (event) => {
+            const data = event.data;
+            if (data.type === 'chunk') {
+                this.chunks.push(data.channels);
+                this.frameCount += data.channels[0].length;
+            } else if (data.type === 'stopped' && this.stopResolver) {
+                this.stopResolver();
+                this.stopResolver = null;
+            }
+        };
+        Tone.connect(this.engine.getOutputNode(), this.tap);
+    }
+
+    _startMediaRecorder() {
+        if (typeof MediaRecorder === 'undefined') {
+            console.warn('MediaRecorder unavailable, recording WAV only');
+            return;
+        }
+        const mimeType = AudioRecorder.WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            console.warn('No Opus/WebM recording support, recording WAV only');
+            return;
+        }
+
+        if (!this.mediaDestination) {
+            this.mediaDestination = this.engine.context.createMediaStreamDestination();
+            Tone.connect(this.engine.getOutputNode(), this.mediaDestination);
+        }
+        this.mediaChunks = [];
+        this.mediaRecorder = new MediaRecorder(this.mediaDestination.stream, { mimeType });
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.mediaChunks.push(event.data);
+        };
+        this.mediaRecorder.start(1000);
+    }
+
+    _stopMediaRecorder() {
+        const recorder = this.mediaRecorder;
+        if (!recorder || recorder.state === 'inactive') return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                resolve(new Blob(this.mediaChunks, { type: recorder.mimeType }));
+                this.mediaChunks = [];
+                this.mediaRecorder = null;
+            };
+            recorder.stop();
+        });
+    }
+
+    _joinChunks() {
+        const channelCount = this.chunks.length > 0 ? this.chunks[0].length : 2;
+        const channels = [];
+        for (let c = 0; c < channelCount; c++) {
+            const joined = new Float32Array(this.frameCount);
+            let offset = 0;
+            this.chunks.forEach(chunk => {
+                joined.set(chunk[c], offset);
+                offset += chunk[c].length;
+            });
+            channels.push(joined);
+        }
+        return channels;
+    }
+
+    // e.g. 'drone-F#m-20260412-213005'
+    _basename() {
+        const d = this.startDate || new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        const date = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+        const time = `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+        return `drone-${this.startKey || 'C'}-${date}-${time}`;
+    }
+
+    /**
+     * Encode channels as a WAV file
+     * @param {Float32Array[]} channels - One array per channel, equal lengths
+     * @param {number} sampleRate
+     * @param {number} [bitDepth] - 16 or 24 (PCM) or 32 (IEEE float)
+     * @returns {Blob}
+     */
+    static encodeWav(channels, sampleRate, bitDepth = 24) {
+        const channelCount = channels.length;
+        const frames = channelCount > 0 ? channels[0].length : 0;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = frames * blockAlign;
+        const isFloat = bitDepth === 32;
+
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, isFloat ? 3 : 1, true);   // 3 = IEEE float, 1 = PCM
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channelCount; c++) {
+                const sample = channels[c][i];
+                if (isFloat) {
+                    view.setFloat32(offset, sample, true);
+                } else {
+                    const clamped = Math.max(-1, Math.min(1, sample));
+                    if (bitDepth === 16) {
+                        view.setInt16(offset, Math.round(clamped * 32767), true);
+                    } else {
+                        const value = Math.round(clamped * 8388607);
+                        view.setUint8(offset, value & 0xff);
+                        view.setUint8(offset + 1, (value >> 8) & 0xff);
+                        view.setUint8(offset + 2, (value >> 16) & 0xff);
+                    }
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    // Save a blob through a temporary link
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    dispose() {
+        if (this.tap) {
+            this.tap.port.postMessage({ type: 'dispose' });
+            this.tap.disconnect();
+            this.tap = null;
+        }
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
+        this.chunks = [];
+    }
+}
@@ -0,0 +1,163 @@
+// Chord Library - Named chord qualities, modal drones and voicings for the drone voices
+// All pitches are expressed in semitones above the root so they stay tuning-agnostic
+
+class ChordLibrary {
+    // Semitone index of each note name within the octave
+    static NOTE_INDEX = {
+        'C': 0, 'C#': 1, 'Db': 1,
+        'D': 2, 'D#': 3, 'Eb': 3,
+        'E': 4, 'F': 5, 'F#': 6,
+        'Gb': 6, 'G': 7, 'G#': 8,
+        'Ab': 8, 'A': 9, 'A#': 10,
+        'Bb': 10, 'B': 11
+    };
+
+    // Chord qualities as semitones above the root.
+    // Modal entries list the colour tones first (after root and fifth) so that
+    // voicings with few voices keep the notes that define the mode.
+    static QUALITIES = {
+        major:      [0, 4, 7],
+        minor:      [0, 3, 7],
+        sus2:       [0, 2, 7],
+        sus4:       [0, 5, 7],
+        maj7:       [0, 4, 7, 11],
+        min7:       [0, 3, 7, 10],
+        min9:       [0, 3, 7, 10, 14],
+        add9:       [0, 4, 7, 14],
+        quartal:    [0, 5, 10, 15],
+        fifths:     [0, 7],
+        dorian:     [0, 7, 9, 3, 10, 2, 5],
+        lydian:     [0, 7, 6, 4, 11, 2, 9],
+        phrygian:   [0, 7, 1, 3, 10, 5, 8],
+        mixolydian: [0, 7, 10, 4, 2, 5, 9],
+        aeolian:    [0, 7, 3, 8, 10, 2, 5]
+    };
+
+    // Voicings spread chord tones across the available voices
+    static VOICINGS = ['drone', 'close', 'open', 'spread'];
+
+    static MIN_VOICES = 1;
+    static MAX_VOICES = 8;
+
+    // Parse a key name (e.g., 'F#m') into root and quality
+    static parseKey(keyName) {
+        const isMinor = keyName.endsWith('m');
+        const root = isMinor ? keyName.slice(0, -1) : keyName;
+        return { root, quality: isMinor ? 'minor' : 'major' };
+    }
+
+    // Minor = has a minor third and no major third
+    static isMinor(quality) {
+        const tones = ChordLibrary.QUALITIES[quality] || [];
+        return tones.includes(3) && !tones.includes(4);
+    }
+
+    // Key name for a chord as the key overlay shows it, e.g. ('D', 'min9') → 'Dm'
+    static keyName(root, quality) {
+        return root + (ChordLibrary.isMinor(quality) ? 'm' : '');
+    }
+
+    static hasRoot(root) {
+        return ChordLibrary.NOTE_INDEX[root] !== undefined;
+    }
+
+    static hasQuality(quality) {
+        return ChordLibrary.QUALITIES[quality] !== undefined;
+    }
+
+    static hasVoicing(voicing) {
+        return ChordLibrary.VOICINGS.includes(voicing);
+    }
+
+    /**
+     * Build the semitone offsets (from the root) for each voice
+     * @param {string} quality - Key of ChordLibrary.QUALITIES
+     * @param {string} voicing - One of ChordLibrary.VOICINGS
+     * @param {number} voiceCount - Number of voices to fill
+     * @returns {number[]} One semitone offset per voice
+     */
+    static voice(quality, voicing, voiceCount) {
+        const tones = ChordLibrary.QUALITIES[quality];
+        if (!tones) {
+            throw new Error(`Unknown chord quality: ${quality}`);
+        }
+
+        let voices;
+        switch (voicing) {
+            case 'close':
+                voices = ChordLibrary._closeVoicing(tones, voiceCount);
+                break;
+            case 'open':
+                voices = ChordLibrary._openVoicing(tones, voiceCount);
+                break;
+            case 'spread':
+                voices = ChordLibrary._spreadVoicing(tones, voiceCount);
+                break;
+            case 'drone':
+                voices = ChordLibrary._droneVoicing(tones, voiceCount);
+                break;
+            default:
+                throw new Error(`Unknown voicing: ${voicing}`);
+        }
+
+        return ChordLibrary._separateUnisons(voices);
+    }
+
+    // Move doubled pitches up by octaves so no two voices share a frequency
+    static _separateUnisons(voices) {
+        const used = new Set();
+        return voices.map(semitones => {
+            let s = semitones;
+            while (used.has(s)) s += 12;
+            used.add(s);
+            return s;
+        }).sort((a, b) => a - b);
+    }
+
+    // Root, fifth and octave first, remaining tones stacked above the octave
+    // (the original [root, fifth, octave, third+octave] layout for triads)
+    static _droneVoicing(tones, voiceCount) {
+        const hasFifth = tones.includes(7);
+        const colour = tones.filter(t => t !== 0 && t !== 7);
+        const pattern = [0];
+        pattern.push(hasFifth ? 7 : (colour.shift() ?? 12));
+        pattern.push(12);
+        colour.forEach(t => pattern.push((t % 12) + 12));
+
+        // The pattern already spans two octaves, so extra voices wrap two octaves up
+        const result = [];
+        for (let i = 0; i < voiceCount; i++) {
+            const octave = Math.floor(i / pattern.length);
+            result.push(pattern[i % pattern.length] + octave * 24);
+        }
+        return result;
+    }
+
+    // Tones stacked as tightly as possible, repeating an octave higher
+    static _closeVoicing(tones, voiceCount) {
+        const sorted = [...tones].sort((a, b) => a - b);
+        const result = [];
+        for (let i = 0; i < voiceCount; i++) {
+            const octave = Math.floor(i / sorted.length);
+            result.push(sorted[i % sorted.length] + octave * 12);
+        }
+        return result;
+    }
+
+    // Close voicing with every other voice raised an octave
+    static _openVoicing(tones, voiceCount) {
+        return ChordLibrary._closeVoicing(tones, voiceCount)
+            .sort((a, b) => a - b)
+            .map((semitones, i) => (i % 2 === 1 ? semitones + 12 : semitones));
+    }
+
+    // Each chord tone in its own octave, wrapping back down after three octaves
+    static _spreadVoicing(tones, voiceCount) {
+        const result = [];
+        for (let i = 0; i < voiceCount; i++) {
+            const tone = tones[i % tones.length] % 12;
+            result.push(tone + (i % 3) * 12);
+        }
+        return result;
+    }
+}
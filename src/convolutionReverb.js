@@ -0,0 +1,160 @@
+// Convolution Reverb - Impulse-response reverb with two morphable slots
+// Slots A and B each hold an impulse response; 'morph' is an equal-power crossfade
+// between them. Replacing the IR in a slot crossfades from the old convolver to the new one,
+// and switching spaces loads the faded-out slot and morphs over to it.
+
+class ConvolutionReverb {
+    static IR_FOLDER = 'impulses/';   // Bare file names are loaded from here
+    static FILE_EXTENSIONS = ['.wav', '.ogg', '.mp3', '.flac'];
+    static SWAP_FADE = 0.2;           // Seconds to crossfade when a slot's IR is replaced
+    static SWITCH_TIME = 1.5;         // Seconds to morph across when switching IRs
+
+    /**
+     * @param {Tone.BaseContext} [context] - Context to build on (defaults to the global one)
+     */
+    constructor(context = Tone.getContext()) {
+        this.context = context;
+        this.input = new Tone.Gain({ context });
+        this.output = new Tone.Gain({ context });
+
+        // Slot A → crossFade.a, slot B → crossFade.b
+        this.crossFade = new Tone.CrossFade({ context, fade: 0 }).connect(this.output);
+        this.slots = {
+            a: { convolver: null, fader: null, buffer: null, name: null, destination: this.crossFade.a },
+            b: { convolver: null, fader: null, buffer: null, name: null, destination: this.crossFade.b }
+        };
+        this.morph = 0;
+    }
+
+    static isImpulseFile(name) {
+        const lower = name.toLowerCase();
+        return ConvolutionReverb.FILE_EXTENSIONS.some(ext => lower.endsWith(ext));
+    }
+
+    /**
+     * Decode an impulse response from a File (picker / drop) or a URL
+     * Bare file names resolve against IR_FOLDER, e.g. 'cathedral.wav' → 'impulses/cathedral.wav'.
+     * @param {File|string} source
+     * @param {Tone.BaseContext} [context] - Used to decode Files
+     * @returns {Promise<{buffer: Tone.ToneAudioBuffer, name: string}>}
+     */
+    static async decode(source, context = Tone.getContext()) {
+        if (typeof source !== 'string') {
+            const audioBuffer = await context.decodeAudioData(await source.arrayBuffer());
+            return { buffer: new Tone.ToneAudioBuffer(audioBuffer), name: source.name };
+        }
+
+        const url = source.includes('/') ? source : ConvolutionReverb.IR_FOLDER + source;
+        const buffer = await Tone.ToneAudioBuffer.fromUrl(url);
+        return { buffer, name: url.split('/').pop() };
+    }
+
+    /**
+     * Load an impulse response into a slot
+     * @param {File|string} source
+     * @param {string} [slot] - 'a' or 'b'
+     */
+    async load(source, slot = 'a') {
+        if (!this.slots[slot]) {
+            throw new Error(`Unknown reverb slot: ${slot}`);
+        }
+        const { buffer, name } = await ConvolutionReverb.decode(source, this.context);
+        this.setBuffer(slot, buffer, name);
+        return name;
+    }
+
+    // Slot that is currently faded out, so loading into it is inaudible until morphed to
+    inactiveSlot() {
+        return this.morph < 0.5 ? 'b' : 'a';
+    }
+
+    setBuffer(slot, buffer, name, fadeTime = ConvolutionReverb.SWAP_FADE) {
+        const state = this.slots[slot];
+
+        const context = this.context;
+        const convolver = new Tone.Convolver({ context, url: buffer });
+        const fader = new Tone.Gain({ context, gain: fadeTime > 0 && state.convolver ? 0 : 1 }).connect(state.destination);
+        this.input.connect(convolver);
+        convolver.connect(fader);
+
+        // Crossfade from the previous convolver in this slot, then release it
+        if (state.convolver) {
+            const previous = { convolver: state.convolver, fader: state.fader };
+            if (fadeTime > 0) {
+                fader.gain.rampTo(1, fadeTime);
+                previous.fader.gain.rampTo(0, fadeTime);
+            } else {
+                previous.fader.gain.value = 0;
+            }
+            setTimeout(() => {
+                this.input.disconnect(previous.convolver);
+                previous.convolver.dispose();
+                previous.fader.dispose();
+            }, fadeTime * 1000 + 50);
+        }
+
+        Object.assign(state, { convolver, fader, buffer, name });
+
+        // With a single IR loaded, both slots use it so morphing never lands on silence
+        const other = this.slots[slot === 'a' ? 'b' : 'a'];
+        if (!other.buffer) {
+            this.setBuffer(slot === 'a' ? 'b' : 'a', buffer, name, 0);
+        }
+    }
+
+    // 0 = slot A, 1 = slot B
+    setMorph(amount, rampTime = 0.1) {
+        this.morph = Math.max(0, Math.min(1, amount));
+        if (rampTime > 0) {
+            this.crossFade.fade.rampTo(this.morph, rampTime);
+        } else {
+            this.crossFade.fade.value = this.morph;
+        }
+    }
+
+    hasImpulse() {
+        return this.slots.a.buffer !== null;
+    }
+
+    // Names of the loaded IRs and the morph position
+    getState() {
+        return { a: this.slots.a.name, b: this.slots.b.name, morph: this.morph };
+    }
+
+    // Take over the impulse responses of another instance (used when the rack rebuilds)
+    copyFrom(other) {
+        ['a', 'b'].forEach(slot => {
+            const source = other.slots[slot];
+            if (source.buffer) this.setBuffer(slot, source.buffer, source.name, 0);
+        });
+    }
+
+    dispose() {
+        Object.values(this.slots).forEach(state => {
+            if (state.convolver) state.convolver.dispose();
+            if (state.fader) state.fader.dispose();
+        });
+        this.crossFade.dispose();
+        this.input.dispose();
+        this.output.dispose();
+    }
+}
+
+// Rack unit: 'convolver', carrying loaded IRs across chain rebuilds
+EffectsRack.registerUnit('convolver', {
+    defaultMix: 0.35,
+    create: (context, previous) => {
+        const reverb = new ConvolutionReverb(context);
+        if (previous) reverb.copyFrom(previous.nodes.main);
+        return {
+            input: reverb.input,
+            output: reverb.output,
+            nodes: { main: reverb },
+            dispose: () => reverb.dispose()
+        };
+    },
+    params: {
+        morph: { min: 0, max: 1, default: 0, scale: 'linear',
+            set: (h, v, t) => h.nodes.main.setMorph(v, t) }
+    }
+});
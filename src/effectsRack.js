@@ -0,0 +1,606 @@
+// Effects Rack - Reconfigurable chain of Tone.js effect units
+// Units can be added, removed, reordered and bypassed at runtime. Structural changes
+// build a fresh chain and crossfade to it, so the signal never passes through a
+// half-connected graph; bypass and mix are gain ramps inside each unit.
+
+class EffectsRack {
+    static FADE_TIME = 0.03;        // Seconds for bypass/mix ramps
+    static CROSSFADE_TIME = 0.08;   // Seconds to crossfade between old and new chains
+    static IMPULSE_SEED = 1;        // Noise seed for the generated reverb impulse responses
+
+    // Sung vowel formants F1–F3: frequency (Hz), level (dB) and bandwidth (Hz), in 'vowel' param order
+    static VOWELS = [
+        { name: 'a', formants: [[650, 0, 80], [1080, -6, 90], [2650, -7, 120]] },
+        { name: 'e', formants: [[400, 0, 70], [1700, -14, 80], [2600, -12, 100]] },
+        { name: 'i', formants: [[290, 0, 40], [1870, -15, 90], [2800, -18, 100]] },
+        { name: 'o', formants: [[400, 0, 40], [800, -10, 80], [2600, -12, 100]] },
+        { name: 'u', formants: [[350, 0, 40], [600, -20, 60], [2700, -17, 100]] }
+    ];
+    static FORMANT_GAIN = 4;        // Makeup gain after the band-passes
+
+    /**
+     * Unit definitions keyed by type
+     * create(context, previous) returns a handle { input, output, nodes, dispose() } built on the
+     * rack's Tone context; previous is the same unit's handle in the chain being replaced (if any),
+     * so units can carry over loaded state.
+     * Each param: { min, max, default, scale: 'linear' | 'exp', continuous?, set(handle, value, rampTime) }.
+     * continuous: false marks params that are too expensive to follow a gesture; modulation skips them.
+     * defaultMix is the wet amount when the unit spec does not give one.
+     */
+    static UNITS = {
+        filter: {
+            defaultMix: 1,
+            create: (context) => EffectsRack.single(new Tone.Filter({ context, type: 'lowpass', frequency: 400, Q: 1.5 })),
+            params: {
+                frequency: { min: 20, max: 20000, default: 400, scale: 'exp',
+                    set: (h, v, t) => h.nodes.main.frequency.rampTo(v, t) },
+                Q: { min: 0.1, max: 20, default: 1.5, scale: 'linear',
+                    set: (h, v, t) => h.nodes.main.Q.rampTo(v, t) }
+            }
+        },
+        chorus: {
+            defaultMix: 0.6,
+            create: (context) => EffectsRack.single(new Tone.Chorus({ context, frequency: 2.5, delayTime: 3.5, depth: 0.5, wet: 1 }).start()),
+            params: {
+                frequency: { min: 0.1, max: 10, default: 2.5, scale: 'exp',
+                    set: (h, v, t) => h.nodes.main.frequency.rampTo(v, t) },
+                depth: { min: 0, max: 1, default: 0.5, scale: 'linear',
+                    set: (h, v) => { h.nodes.main.depth = v; } },
+                delayTime: { min: 1, max: 20, default: 3.5, scale: 'linear',
+                    set: (h, v) => { h.nodes.main.delayTime = v; } }
+            }
+        },
+        widener: {
+            defaultMix: 1,
+            create: (context) => EffectsRack.single(new Tone.StereoWidener({ context, width: 0.5 })),
+            params: {
+                width: { min: 0, max: 1, default: 0.5, scale: 'linear',
+                    set: (h, v, t) => h.nodes.main.width.rampTo(v, t) }
+            }
+        },
+        reverb: {
+            defaultMix: 0.35,
+            create: (context) => {
+                const handle = EffectsRack.single(new Tone.Convolver({ context }));
+                EffectsRack.setImpulse(handle, handle.nodes.main, { decay: 4, preDelay: 0.01 });
+                return handle;
+            },
+            params: {
+                // Changing decay or preDelay regenerates the impulse response and cuts the tail
+                decay: { min: 0.5, max: 20, default: 4, scale: 'exp', continuous: false,
+                    set: (h, v) => EffectsRack.setImpulse(h, h.nodes.main, { decay: v }) },
+                preDelay: { min: 0, max: 0.5, default: 0.01, scale: 'linear', continuous: false,
+                    set: (h, v) => EffectsRack.setImpulse(h, h.nodes.main, { preDelay: v }) }
+            }
+        },
+        pingPong: {
+            defaultMix: 0.3,
+            create: (context) => EffectsRack.single(new Tone.PingPongDelay({ context, delayTime: 0.375, feedback: 0.35, wet: 1 })),
+            params: {
+                delayTime: { min: 0.05, max: 1.5, default: 0.375, scale: 'exp',
+                    set: (h, v, t) => h.nodes.main.delayTime.rampTo(v, t) },
+                feedback: { min: 0, max: 0.9, default: 0.35, scale: 'linear',
+                    set: (h, v, t) => h.nodes.main.feedback.rampTo(v, t) }
+            }
+        },
+        tape: {
+            defaultMix: 1,
+            create: (context) => {
+                // Soft saturation followed by a high-frequency roll-off
+                const saturation = new Tone.Distortion({ context, distortion: 0.2, oversample: '2x', wet: 1 });
+                const tone = new Tone.Filter({ context, type: 'lowpass', frequency: 9000, Q: 0.5 });
+                saturation.connect(tone);
+                return {
+                    input: saturation,
+                    output: tone,
+                    nodes: { saturation, tone },
+                    dispose: () => {
+                        saturation.dispose();
+                        tone.dispose();
+                    }
+                };
+            },
+            params: {
+                drive: { min: 0, max: 1, default: 0.2, scale: 'linear',
+                    set: (h, v) => { h.nodes.saturation.distortion = v; } },
+                tone: { min: 1000, max: 18000, default: 9000, scale: 'exp',
+                    set: (h, v, t) => h.nodes.tone.frequency.rampTo(v, t) }
+            }
+        },
+        bitcrusher: {
+            defaultMix: 0.5,
+            create: (context) => EffectsRack.single(new Tone.BitCrusher({ context, bits: 8, wet: 1 })),
+            params: {
+                bits: { min: 1, max: 16, default: 8, scale: 'linear',
+                    set: (h, v, t) => h.nodes.main.bits.rampTo(v, t) }
+            }
+        },
+        phaser: {
+            defaultMix: 0.5,
+            create: (context) => EffectsRack.single(new Tone.Phaser({ context, frequency: 0.5, octaves: 3, baseFrequency: 350, wet: 1 })),
+            params: {
+                frequency: { min: 0.05, max: 8, default: 0.5, scale: 'exp',
+                    set: (h, v, t) => h.nodes.main.frequency.rampTo(v, t) },
+                octaves: { min: 1, max: 6, default: 3, scale: 'linear',
+                    set: (h, v) => { h.nodes.main.octaves = v; } },
+                baseFrequency: { min: 100, max: 2000, default: 350, scale: 'exp',
+                    set: (h, v) => { h.nodes.main.baseFrequency = v; } }
+            }
+        },
+        formant: {
+            defaultMix: 0.5,
+            create: (context) => {
+                // Parallel band-passes at the first three formants of a sung vowel
+                const input = new Tone.Gain({ context });
+                const output = new Tone.Gain({ context, gain: EffectsRack.FORMANT_GAIN });
+                const filters = [0, 1, 2].map(() => new Tone.Filter({ context, type: 'bandpass', frequency: 1000, Q: 5 }));
+                const gains = filters.map(() => new Tone.Gain({ context }));
+                filters.forEach((filter, i) => {
+                    input.connect(filter);
+                    filter.chain(gains[i], output);
+                });
+                const handle = {
+                    input,
+                    output,
+                    nodes: { filters, gains },
+                    vowel: 0,
+                    resonance: 1,
+                    dispose: () => {
+                        [input, output, ...filters, ...gains].forEach(node => node.dispose());
+                    }
+                };
+                EffectsRack.setFormants(handle, {}, 0);
+                return handle;
+            },
+            params: {
+                // 0 = a, 1 = e, 2 = i, 3 = o, 4 = u (see VOWELS), interpolated in between
+                vowel: { min: 0, max: 4, default: 0, scale: 'linear',
+                    set: (h, v, t) => EffectsRack.setFormants(h, { vowel: v }, t) },
+                // Multiplies every formant's Q
+                resonance: { min: 0.5, max: 3, default: 1, scale: 'linear',
+                    set: (h, v, t) => EffectsRack.setFormants(h, { resonance: v }, t) }
+            }
+        },
+        shimmer: {
+            defaultMix: 0.4,
+            create: (context) => {
+                // Reverb with an octave-up pitch shifter in its feedback loop
+                const reverb = new Tone.Convolver({ context });
+                const shift = new Tone.PitchShift({ context, pitch: 12, wet: 1 });
+                const feedback = new Tone.Gain({ context, gain: 0.35 });
+                const output = new Tone.Gain({ context });
+                reverb.connect(output);
+                reverb.chain(shift, feedback, reverb);
+                const handle = {
+                    input: reverb,
+                    output,
+                    nodes: { reverb, shift, feedback },
+                    dispose: () => {
+                        [reverb, shift, feedback, output].forEach(node => node.dispose());
+                    }
+                };
+                EffectsRack.setImpulse(handle, reverb, { decay: 8, preDelay: 0.01 });
+                return handle;
+            },
+            params: {
+                decay: { min: 1, max: 20, default: 8, scale: 'exp', continuous: false,
+                    set: (h, v) => EffectsRack.setImpulse(h, h.nodes.reverb, { decay: v }) },
+                shimmer: { min: 0, max: 0.7, default: 0.35, scale: 'linear',
+                    set: (h, v, t) => h.nodes.feedback.gain.rampTo(v, t) },
+                pitch: { min: 0, max: 24, default: 12, scale: 'linear',
+                    set: (h, v) => { h.nodes.shift.pitch = v; } }
+            }
+        }
+    };
+
+    /**
+     * Formants at a position between vowels, e.g. 0.5 = halfway from 'a' to 'e'
+     * Frequencies move geometrically and levels in dB, so glides sound like one voice.
+     * @param {number} vowel - 0 to VOWELS.length - 1
+     * @returns {Array<{frequency: number, gain: number, bandwidth: number}>} gain is linear
+     */
+    static vowelFormants(vowel) {
+        const last = EffectsRack.VOWELS.length - 1;
+        const position = Math.max(0, Math.min(last, vowel));
+        const index = Math.min(last - 1, Math.floor(position));
+        const t = position - index;
+        const from = EffectsRack.VOWELS[index].formants;
+        const to = EffectsRack.VOWELS[index + 1].formants;
+        return from.map(([frequency, db, bandwidth], i) => ({
+            frequency: frequency * Math.pow(to[i][0] / frequency, t),
+            gain: Math.pow(10, (db + (to[i][1] - db) * t) / 20),
+            bandwidth: bandwidth + (to[i][2] - bandwidth) * t
+        }));
+    }
+
+    // Retune a formant unit's band-passes (vowel and/or resonance changes)
+    static setFormants(handle, changes, rampTime) {
+        Object.assign(handle, changes);
+        const { filters, gains } = handle.nodes;
+        EffectsRack.vowelFormants(handle.vowel).forEach(({ frequency, gain, bandwidth }, i) => {
+            filters[i].frequency.rampTo(frequency, rampTime);
+            filters[i].Q.rampTo(frequency / bandwidth * handle.resonance, rampTime);
+            gains[i].gain.rampTo(gain, rampTime);
+        });
+    }
+
+    // Handle for a unit made of a single Tone node
+    static single(node) {
+        return {
+            input: node,
+            output: node,
+            nodes: { main: node },
+            dispose: () => node.dispose()
+        };
+    }
+
+    /**
+     * Stereo noise impulse response with an exponential decay
+     * Same envelope as Tone.Reverb, but the noise comes from a seeded generator so
+     * every build (and every offline render) gets the identical reverb tail.
+     * @param {Tone.BaseContext} context
+     * @param {Object} options - { decay, preDelay } in seconds, seed
+     * @returns {AudioBuffer}
+     */
+    static impulseResponse(context, { decay, preDelay = 0, seed = EffectsRack.IMPULSE_SEED }) {
+        const sampleRate = context.sampleRate;
+        const length = Math.ceil((decay + preDelay) * sampleRate);
+        const buffer = context.createBuffer(2, length, sampleRate);
+        const random = EffectsRack.seededRandom(seed);
+
+        // Exponential approach to silence, then a linear ramp over the last 10%
+        const timeConstant = Math.log(decay + 1) / Math.log(200);
+        const holdTime = decay * 0.9;
+        const holdLevel = Math.exp(-holdTime / timeConstant);
+
+        for (let c = 0; c < 2; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                const t = i / sampleRate - preDelay;
+                if (t < 0) continue;
+                const envelope = t < holdTime
+                    ? Math.exp(-t / timeConstant)
+                    : holdLevel * Math.max(0, 1 - (t - holdTime) / (decay - holdTime));
+                data[i] = (random() * 2 - 1) * envelope;
+            }
+        }
+        return buffer;
+    }
+
+    // Regenerate a convolver's impulse response when decay or preDelay actually change
+    static setImpulse(handle, convolver, changes) {
+        const impulse = { ...handle.impulse, ...changes };
+        if (handle.impulse && impulse.decay === handle.impulse.decay &&
+            impulse.preDelay === handle.impulse.preDelay) {
+            return;
+        }
+        handle.impulse = impulse;
+        convolver.buffer = EffectsRack.impulseResponse(convolver.context, impulse);
+    }
+
+    // Deterministic 0–1 generator (mulberry32)
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Register an additional unit type (see EffectsRack.UNITS for the shape)
+    static registerUnit(type, definition) {
+        EffectsRack.UNITS[type] = definition;
+    }
+
+    /**
+     * @param {Tone.BaseContext} [context] - Context to build on (defaults to the global one)
+     */
+    constructor(context = Tone.getContext()) {
+        this.context = context;
+        this.input = new Tone.Gain({ context });
+        this.output = new Tone.Gain({ context });
+
+        // Unit specs in chain order: { id, type, mix, bypassed, params }
+        this.specs = [];
+
+        // Live chain: { input, output, units: Map<id, { handle, dryGain, wetGain }>, types: Map<id, type> }
+        this.chain = null;
+
+        // Structural changes run one at a time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Replace the whole chain
+     * @param {Array<{id?: string, type: string, mix?: number, bypassed?: boolean, params?: Object}>} specs
+     * @returns {Promise} Resolves when the new chain is audible
+     */
+    setChain(specs) {
+        const normalized = [];
+        for (const spec of specs) {
+            const unit = this._normalizeSpec(spec, normalized);
+            if (!unit) return Promise.reject(new Error(`Unknown effect type: ${spec.type}`));
+            normalized.push(unit);
+        }
+        return this._reconfigure(normalized);
+    }
+
+    /**
+     * Insert a unit
+     * @param {string} type - Key of EffectsRack.UNITS
+     * @param {Object} [options] - { id, index, mix, bypassed, params }
+     * @returns {Promise<string>} The unit id
+     */
+    async add(type, { index = this.specs.length, ...options } = {}) {
+        const unit = this._normalizeSpec({ type, ...options }, this.specs);
+        if (!unit) throw new Error(`Unknown effect type: ${type}`);
+
+        const specs = [...this.specs];
+        specs.splice(Math.max(0, Math.min(index, specs.length)), 0, unit);
+        await this._reconfigure(specs);
+        return unit.id;
+    }
+
+    remove(id) {
+        if (!this.has(id)) return Promise.resolve(false);
+        return this._reconfigure(this.specs.filter(spec => spec.id !== id)).then(() => true);
+    }
+
+    // Move a unit to a new position in the chain
+    move(id, index) {
+        const from = this.specs.findIndex(spec => spec.id === id);
+        if (from === -1) return Promise.resolve(false);
+
+        const specs = [...this.specs];
+        const [unit] = specs.splice(from, 1);
+        specs.splice(Math.max(0, Math.min(index, specs.length)), 0, unit);
+        return this._reconfigure(specs).then(() => true);
+    }
+
+    has(id) {
+        return this.specs.some(spec => spec.id === id);
+    }
+
+    // Unit ids in chain order
+    list() {
+        return this.specs.map(spec => spec.id);
+    }
+
+    getSpec(id) {
+        return this.specs.find(spec => spec.id === id) || null;
+    }
+
+    // Param descriptors for a unit, for building gesture targets
+    getParamDescriptors(id) {
+        const spec = this.getSpec(id);
+        return spec ? EffectsRack.UNITS[spec.type].params : null;
+    }
+
+    // Whether a unit param (or 'mix') can be changed every frame; false for impulse rebuilds
+    isContinuous(id, name) {
+        const descriptors = this.getParamDescriptors(id);
+        const descriptor = descriptors && descriptors[name];
+        return !descriptor || descriptor.continuous !== false;
+    }
+
+    setBypass(id, bypassed) {
+        const spec = this.getSpec(id);
+        if (!spec) return false;
+        spec.bypassed = !!bypassed;
+        this._applyMix(id, EffectsRack.FADE_TIME);
+        return true;
+    }
+
+    // Wet amount 0–1 (equal-power against the dry path)
+    setMix(id, mix, rampTime = EffectsRack.FADE_TIME) {
+        const spec = this.getSpec(id);
+        if (!spec || !this._isNumber(mix)) return false;
+        spec.mix = Math.max(0, Math.min(1, mix));
+        this._applyMix(id, rampTime);
+        return true;
+    }
+
+    /**
+     * Set a unit param in its own units (Hz, seconds, ...), clamped to its range
+     * Returns false when the unit or param does not exist, so callers can target
+     * units that a given chain leaves out.
+     */
+    setParam(id, name, value, rampTime = EffectsRack.FADE_TIME) {
+        const spec = this.getSpec(id);
+        if (!spec || !this._isNumber(value)) return false;
+        const descriptor = EffectsRack.UNITS[spec.type].params[name];
+        if (!descriptor) return false;
+
+        const clamped = Math.max(descriptor.min, Math.min(descriptor.max, value));
+        spec.params[name] = clamped;
+
+        const unit = this.chain && this.chain.units.get(id);
+        if (unit) {
+            descriptor.set(unit.handle, clamped, rampTime);
+        }
+        return true;
+    }
+
+    // Set a param from a normalized 0–1 value (linear or exponential across its range)
+    setParamNormalized(id, name, amount, rampTime = EffectsRack.FADE_TIME) {
+        const descriptors = this.getParamDescriptors(id);
+        if (!descriptors || !descriptors[name] || !this._isNumber(amount)) return false;
+
+        const { min, max, scale } = descriptors[name];
+        const a = Math.max(0, Math.min(1, amount));
+        const value = scale === 'exp' ? min * Math.pow(max / min, a) : min + (max - min) * a;
+        return this.setParam(id, name, value, rampTime);
+    }
+
+    // Underlying node of a unit in the live chain (e.g. to load an impulse response)
+    getNode(id) {
+        const unit = this.chain && this.chain.units.get(id);
+        return unit ? unit.handle.nodes.main : null;
+    }
+
+    getParam(id, name) {
+        const spec = this.getSpec(id);
+        return spec ? spec.params[name] : undefined;
+    }
+
+    // Serializable copy of the chain
+    getState() {
+        return this.specs.map(spec => ({ ...spec, params: { ...spec.params } }));
+    }
+
+    dispose() {
+        if (this.chain) this._disposeChain(this.chain);
+        this.chain = null;
+        this.input.dispose();
+        this.output.dispose();
+    }
+
+    _isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    _normalizeSpec(spec, existing) {
+        const definition = EffectsRack.UNITS[spec.type];
+        if (!definition) {
+            console.warn(`Unknown effect type: ${spec.type}`);
+            return null;
+        }
+
+        // Ids default to the type, suffixed when the type is already in the chain
+        let id = spec.id || spec.type;
+        for (let n = 2; existing.some(unit => unit.id === id); n++) {
+            id = `${spec.id || spec.type}${n}`;
+        }
+
+        const params = {};
+        Object.entries(definition.params).forEach(([name, descriptor]) => {
+            const value = spec.params && spec.params[name];
+            params[name] = this._isNumber(value) ? value : descriptor.default;
+        });
+
+        return {
+            id,
+            type: spec.type,
+            mix: this._isNumber(spec.mix) ? spec.mix : definition.defaultMix,
+            bypassed: !!spec.bypassed,
+            params
+        };
+    }
+
+    _reconfigure(specs) {
+        this.specs = specs;
+        const swap = this.queue.then(() => this._swapChain());
+        // A failed rebuild must not block later ones
+        this.queue = swap.catch(err => debugLog('Effects chain rebuild failed:', err));
+        return swap;
+    }
+
+    // Build a chain for the current specs and crossfade to it
+    async _swapChain() {
+        const specs = this.specs;
+        const next = await this._buildChain(specs);
+
+        // Params may have moved while async units were generating
+        specs.forEach(spec => {
+            const unit = next.units.get(spec.id);
+            if (!unit) return;
+            Object.entries(spec.params).forEach(([name, value]) => {
+                EffectsRack.UNITS[spec.type].params[name].set(unit.handle, value, 0);
+            });
+        });
+
+        this.input.connect(next.input);
+        next.output.connect(this.output);
+
+        const previous = this.chain;
+        this.chain = next;
+
+        if (!previous) {
+            next.output.gain.value = 1;
+            return;
+        }
+
+        next.output.gain.rampTo(1, EffectsRack.CROSSFADE_TIME);
+        previous.output.gain.rampTo(0, EffectsRack.CROSSFADE_TIME);
+        await new Promise(resolve => setTimeout(resolve, EffectsRack.CROSSFADE_TIME * 1000 + 20));
+
+        this.input.disconnect(previous.input);
+        this._disposeChain(previous);
+    }
+
+    async _buildChain(specs) {
+        const chain = {
+            input: new Tone.Gain({ context: this.context }),
+            output: new Tone.Gain({ context: this.context, gain: 0 }),
+            units: new Map(),
+            types: new Map()
+        };
+
+        let previous = chain.input;
+        for (const spec of specs) {
+            const definition = EffectsRack.UNITS[spec.type];
+            const previousUnit = this.chain && this.chain.units.get(spec.id);
+            const reuse = previousUnit && this.chain.types.get(spec.id) === spec.type;
+            const handle = await definition.create(this.context, reuse ? previousUnit.handle : null);
+            Object.entries(spec.params).forEach(([name, value]) => {
+                definition.params[name].set(handle, value, 0);
+            });
+
+            // unitInput ─┬─ effect ── wetGain ─┬─ unitOutput
+            //            └──────── dryGain ────┘
+            const context = this.context;
+            const unitInput = new Tone.Gain({ context });
+            const unitOutput = new Tone.Gain({ context });
+            const dryGain = new Tone.Gain({ context, gain: 0 });
+            const wetGain = new Tone.Gain({ context, gain: 0 });
+            unitInput.connect(handle.input);
+            handle.output.connect(wetGain);
+            unitInput.connect(dryGain);
+            wetGain.connect(unitOutput);
+            dryGain.connect(unitOutput);
+
+            const unit = { handle, unitInput, unitOutput, dryGain, wetGain };
+            chain.units.set(spec.id, unit);
+            chain.types.set(spec.id, spec.type);
+            this._setUnitMix(unit, spec, 0);
+
+            previous.connect(unitInput);
+            previous = unitOutput;
+        }
+        previous.connect(chain.output);
+
+        return chain;
+    }
+
+    _applyMix(id, rampTime) {
+        const unit = this.chain && this.chain.units.get(id);
+        if (unit) {
+            this._setUnitMix(unit, this.getSpec(id), rampTime);
+        }
+    }
+
+    // Equal-power wet/dry gains; bypassed units pass the dry signal only
+    _setUnitMix(unit, spec, rampTime) {
+        const mix = spec.bypassed ? 0 : spec.mix;
+        const wet = Math.sin(mix * Math.PI / 2);
+        const dry = Math.cos(mix * Math.PI / 2);
+        if (rampTime > 0) {
+            unit.wetGain.gain.rampTo(wet, rampTime);
+            unit.dryGain.gain.rampTo(dry, rampTime);
+        } else {
+            unit.wetGain.gain.value = wet;
+            unit.dryGain.gain.value = dry;
+        }
+    }
+
+    _disposeChain(chain) {
+        chain.units.forEach(unit => {
+            unit.handle.dispose();
+            [unit.unitInput, unit.unitOutput, unit.dryGain, unit.wetGain].forEach(node => node.dispose());
+        });
+        chain.input.dispose();
+        chain.output.dispose();
+    }
+}
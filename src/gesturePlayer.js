@@ -0,0 +1,157 @@
+// Gesture Player - Replays a recorded gesture performance through the results callback
+// Frames are delivered in order, at their recorded times scaled by the playback speed,
+// so onHandResults sees the same sequence it saw live (no webcam needed).
+
+class GesturePlayer {
+    static MIN_SPEED = 0.25;
+    static MAX_SPEED = 4;
+
+    /**
+     * @param {Function} onResultsCallback - Receives results objects like HandDetector's
+     */
+    constructor(onResultsCallback) {
+        this.onResultsCallback = onResultsCallback;
+        this.recording = null;
+
+        this.speed = 1;
+        this.loop = false;
+        this.isPlaying = false;
+
+        this.position = 0;        // Playback position in recording milliseconds
+        this.frameIndex = 0;      // Next frame to deliver
+        this.lastTick = 0;
+        this.rafId = null;
+
+        this.onEnded = null;      // Called when playback finishes (not when looping)
+    }
+
+    /**
+     * Load a recording
+     * @param {Object|string|File} source - Parsed recording, JSON text, File or URL
+     */
+    async load(source) {
+        let data = source;
+        if (typeof File !== 'undefined' && source instanceof File) {
+            data = JSON.parse(await source.text());
+        } else if (typeof source === 'string') {
+            if (source.trim().startsWith('{')) {
+                data = JSON.parse(source);
+            } else {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`Failed to load gestures: ${source} - ${response.status}`);
+                }
+                data = await response.json();
+            }
+        }
+
+        if (!GestureRecorder.isRecording(data)) {
+            throw new Error('Not a gesture recording');
+        }
+        if (data.version > GestureRecorder.VERSION) {
+            console.warn(`Gesture recording version ${data.version} is newer than supported`);
+        }
+
+        this.stop();
+        this.recording = data;
+        debugLog(`Gesture recording loaded: ${data.frames.length} frames, ${(data.duration / 1000).toFixed(1)}s`);
+        return data;
+    }
+
+    /**
+     * Start or continue playback
+     * @param {Object} [options]
+     * @param {number} [options.speed]
+     * @param {boolean} [options.loop]
+     */
+    play({ speed, loop } = {}) {
+        if (!this.recording) {
+            console.warn('No gesture recording loaded');
+            return;
+        }
+        if (speed !== undefined) this.setSpeed(speed);
+        if (loop !== undefined) this.loop = !!loop;
+        if (this.isPlaying) return;
+
+        this.isPlaying = true;
+        this.lastTick = performance.now();
+        this.rafId = requestAnimationFrame(() => this._tick());
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+    }
+
+    // Pause and rewind
+    stop() {
+        this.pause();
+        this.position = 0;
+        this.frameIndex = 0;
+    }
+
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || !isFinite(speed)) return;
+        this.speed = Math.max(GesturePlayer.MIN_SPEED, Math.min(GesturePlayer.MAX_SPEED, speed));
+    }
+
+    setLoop(loop) {
+        this.loop = !!loop;
+    }
+
+    // Jump to a time in milliseconds (frames before it are skipped, not replayed)
+    seek(ms) {
+        if (!this.recording) return;
+        this.position = Math.max(0, Math.min(this.recording.duration, ms));
+        const frames = this.recording.frames;
+        this.frameIndex = frames.findIndex(frame => frame.t >= this.position);
+        if (this.frameIndex === -1) this.frameIndex = frames.length;
+    }
+
+    _tick() {
+        if (!this.isPlaying) return;
+
+        const now = performance.now();
+        this.position += (now - this.lastTick) * this.speed;
+        this.lastTick = now;
+
+        // Deliver every frame that is due, in order, so edge detection (pinch release) works
+        const frames = this.recording.frames;
+        while (this.frameIndex < frames.length && frames[this.frameIndex].t <= this.position) {
+            this._deliver(frames[this.frameIndex]);
+            this.frameIndex++;
+        }
+
+        if (this.frameIndex >= frames.length) {
+            if (this.loop && frames.length > 0) {
+                this.position -= this.recording.duration;
+                this.frameIndex = 0;
+            } else {
+                this.stop();
+                if (this.onEnded) this.onEnded();
+                return;
+            }
+        }
+
+        this.rafId = requestAnimationFrame(() => this._tick());
+    }
+
+    _deliver(frame) {
+        if (!this.onResultsCallback) return;
+        this.onResultsCallback({
+            handsDetected: frame.handsDetected,
+            leftRotation: frame.leftRotation,
+            rightRotation: frame.rightRotation,
+            leftOpenness: frame.leftOpenness ?? null,
+            rightOpenness: frame.rightOpenness ?? null,
+            fps: frame.fps,
+            pinch: frame.pinch || { active: false, position: null, hand: null },
+            gestures: frame.gestures || { left: [], right: [] },
+            features: frame.features || null,  // Absent in recordings made before hand features
+            landmarks: frame.landmarks || [],
+            handedness: frame.handedness || [],
+            replayed: true
+        });
+    }
+}
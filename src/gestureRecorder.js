@@ -0,0 +1,143 @@
+// Gesture Recorder - Captures the HandDetector results stream to a JSON performance file
+// Each frame stores the results object onHandResults receives (rotations, pinch, poses,
+// hand features, hands detected) with a millisecond timestamp; raw landmarks are included
+// on request. Frames also carry the engine parameters the gestures produced whenever they
+// change, which is what OfflineRenderer bounces to audio.
+
+class GestureRecorder {
+    static FORMAT = 'drone-gestures';
+    static VERSION = 1;
+    static LANDMARK_PRECISION = 4;  // Decimal places kept for landmark coordinates
+
+    constructor() {
+        this.recording = false;
+        this.includeLandmarks = false;
+        this.frames = [];
+        this.startTime = 0;
+        this.startDate = null;
+        this.lastAudio = null;
+    }
+
+    /**
+     * Start a new recording
+     * @param {Object} [options]
+     * @param {boolean} [options.includeLandmarks] - Also store the 21 landmarks per hand
+     */
+    start({ includeLandmarks = false } = {}) {
+        this.recording = true;
+        this.includeLandmarks = includeLandmarks;
+        this.frames = [];
+        this.startTime = performance.now();
+        this.startDate = new Date();
+        this.lastAudio = null;
+        debugLog(`Gesture recording started${includeLandmarks ? ' (with landmarks)' : ''}`);
+    }
+
+    /**
+     * Record one results object (call from the HandDetector callback)
+     * @param {Object} results
+     * @param {Object} [audio] - Engine parameters after the frame was applied
+     *   ({ key, intensity, width, volume }); stored only when they change
+     */
+    capture(results, audio) {
+        if (!this.recording) return;
+
+        const frame = {
+            t: Math.round(performance.now() - this.startTime),
+            handsDetected: results.handsDetected,
+            leftRotation: results.leftRotation,
+            rightRotation: results.rightRotation,
+            leftOpenness: this._round(results.leftOpenness),
+            rightOpenness: this._round(results.rightOpenness),
+            fps: results.fps,
+            pinch: results.pinch ? {
+                active: results.pinch.active,
+                position: results.pinch.position ? { ...results.pinch.position } : null,
+                hand: results.pinch.hand
+            } : null,
+            gestures: results.gestures ? {
+                left: [...results.gestures.left],
+                right: [...results.gestures.right]
+            } : null,
+            features: results.features ? {
+                left: this._roundFeatures(results.features.left),
+                right: this._roundFeatures(results.features.right)
+            } : null
+        };
+
+        if (this.includeLandmarks && results.landmarks) {
+            const round = (v) => Number(v.toFixed(GestureRecorder.LANDMARK_PRECISION));
+            frame.landmarks = results.landmarks.map(hand => hand.map(point => ({
+                x: round(point.x), y: round(point.y), z: round(point.z)
+            })));
+            frame.handedness = results.handedness ? [...results.handedness] : [];
+        }
+
+        if (audio && !this._sameAudio(audio, this.lastAudio)) {
+            frame.audio = { ...audio };
+            this.lastAudio = frame.audio;
+        }
+
+        this.frames.push(frame);
+    }
+
+    // Openness to 3 decimals (null stays null)
+    _round(value) {
+        return typeof value === 'number' ? Number(value.toFixed(3)) : null;
+    }
+
+    // Every number in a hand feature vector to 3 decimals
+    _roundFeatures(features) {
+        if (!features) return null;
+        const rounded = {};
+        Object.entries(features).forEach(([name, value]) => {
+            rounded[name] = typeof value === 'object' && value !== null
+                ? { x: this._round(value.x), y: this._round(value.y) }
+                : this._round(value);
+        });
+        return rounded;
+    }
+
+    _sameAudio(a, b) {
+        return !!b && a.key === b.key && a.intensity === b.intensity &&
+            a.width === b.width && a.volume === b.volume;
+    }
+
+    /**
+     * Stop and return the recording
+     * @returns {{recording: Object, json: string, filename: string}|null} null if not recording
+     */
+    stop() {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        const recording = {
+            format: GestureRecorder.FORMAT,
+            version: GestureRecorder.VERSION,
+            recordedAt: this.startDate.toISOString(),
+            duration: this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0,
+            includesLandmarks: this.includeLandmarks,
+            frames: this.frames
+        };
+        this.frames = [];
+        debugLog(`Gesture recording stopped: ${recording.frames.length} frames`);
+
+        return {
+            recording,
+            json: JSON.stringify(recording),
+            filename: `gestures-${GestureRecorder.timestamp(this.startDate)}.json`
+        };
+    }
+
+    // e.g. '20260412-213005'
+    static timestamp(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    // Check that parsed JSON is a gesture recording
+    static isRecording(data) {
+        return !!data && data.format === GestureRecorder.FORMAT && Array.isArray(data.frames);
+    }
+}
@@ -0,0 +1,233 @@
+// Gesture Registry - Named static hand poses with hold-to-activate and miss grace
+// Each classifier looks at one hand's 21 landmarks. A pose must be seen for its hold time
+// before it is confirmed, and a confirmed pose survives a few missed frames, so poses don't
+// flicker when MediaPipe wobbles. Finger tests use distances, so they work at any rotation.
+// Fist and pinch have hysteresis: once engaged they take a clearer release to let go.
+
+class GestureRegistry {
+    static HOLD_DURATION_MS = 450;  // Default hold-to-activate time
+    static MISS_GRACE = 2;          // Default: missed frames before a confirmed pose resets
+
+    static FINGERS = {
+        thumb: [1, 2, 3, 4],
+        index: [5, 6, 7, 8],
+        middle: [9, 10, 11, 12],
+        ring: [13, 14, 15, 16],
+        pinky: [17, 18, 19, 20]
+    };
+
+    static EXTENDED_RATIO = 1.15;        // Tip-to-wrist / PIP-to-wrist above this = finger straight
+    static THUMB_RATIO = 1.2;            // Thumb tip-to-pinky base / thumb MCP-to-pinky base
+    static PINCH_THRESHOLD = 0.05;       // Thumb–index tip distance (normalized frame units)
+    static THREE_PINCH_THRESHOLD = 0.06; // Largest tip distance between thumb, index and middle
+    static PEACE_SPREAD = 0.3;           // Index–middle tip gap for a V, in palm lengths
+    static PINCH_RELEASE = 0.07;         // Thumb–index distance that ends an engaged pinch
+    static FOLD_HYSTERESIS = 0.1;        // Extra ratio a finger of an engaged fist needs to count as straight
+
+    /**
+     * Which fingers are extended
+     * @param {Array<Object>} landmarks - 21 points with x, y
+     * @param {number} [margin] - Added to the extension ratios (positive = harder to count as straight)
+     * @returns {{thumb: boolean, index: boolean, middle: boolean, ring: boolean, pinky: boolean}}
+     */
+    static fingerStates(landmarks, margin = 0) {
+        const distance = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+        const states = {};
+        // joint is the thumb's MCP or the other fingers' PIP
+        Object.entries(GestureRegistry.FINGERS).forEach(([finger, [, joint, , tip]]) => {
+            // The thumb folds across the palm towards the pinky, the others towards the wrist
+            const anchor = finger === 'thumb' ? 17 : 0;
+            const ratio = (finger === 'thumb' ? GestureRegistry.THUMB_RATIO : GestureRegistry.EXTENDED_RATIO) + margin;
+            const reach = distance(joint, anchor);
+            states[finger] = reach > 0 && distance(tip, anchor) / reach > ratio;
+        });
+        return states;
+    }
+
+    // Wrist to middle finger base: the hand's size in the frame
+    static palmLength(landmarks) {
+        return Math.hypot(landmarks[9].x - landmarks[0].x, landmarks[9].y - landmarks[0].y);
+    }
+
+    static tipDistance(landmarks, a, b) {
+        return Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+    }
+
+    /**
+     * Built-in poses: classify(landmarks, fingers, engaged) → boolean, where fingers is
+     * fingerStates() and engaged is true while the pose is holding, active or in its miss grace.
+     * Fist and thumbs up exclude each other, and so do the two pinches.
+     */
+    static BUILT_IN = {
+        fist: {
+            classify: (l, f, engaged) => {
+                const fingers = engaged ? GestureRegistry.fingerStates(l, GestureRegistry.FOLD_HYSTERESIS) : f;
+                return !fingers.index && !fingers.middle && !fingers.ring && !fingers.pinky &&
+                    !GestureRegistry.isThumbsUp(l, fingers);
+            },
+            missGrace: 1  // Fist rotation stops as soon as the fist opens
+        },
+        pinch: {
+            classify: (l, f, engaged) => GestureRegistry.tipDistance(l, 4, 8) <
+                (engaged ? GestureRegistry.PINCH_RELEASE : GestureRegistry.PINCH_THRESHOLD) &&
+                !GestureRegistry.BUILT_IN.fist.classify(l, f) && !GestureRegistry.isThreeFingerPinch(l)
+        },
+        openPalm: {
+            classify: (l, f) => f.thumb && f.index && f.middle && f.ring && f.pinky
+        },
+        point: {
+            classify: (l, f) => f.index && !f.middle && !f.ring && !f.pinky
+        },
+        peace: {
+            classify: (l, f) => f.index && f.middle && !f.ring && !f.pinky &&
+                GestureRegistry.tipDistance(l, 8, 12) > GestureRegistry.PEACE_SPREAD * GestureRegistry.palmLength(l)
+        },
+        thumbsUp: {
+            classify: (l, f) => GestureRegistry.isThumbsUp(l, f)
+        },
+        threeFingerPinch: {
+            classify: (l) => GestureRegistry.isThreeFingerPinch(l)
+        }
+    };
+
+    // Thumb out and pointing up, the other fingers curled
+    static isThumbsUp(landmarks, fingers) {
+        if (!fingers.thumb || fingers.index || fingers.middle || fingers.ring || fingers.pinky) return false;
+        const tip = landmarks[4];
+        const base = landmarks[2];
+        // Mostly vertical, and above every other fingertip
+        return base.y - tip.y > Math.abs(tip.x - base.x) &&
+            [8, 12, 16, 20].every(i => tip.y < landmarks[i].y);
+    }
+
+    static isThreeFingerPinch(landmarks) {
+        const limit = GestureRegistry.THREE_PINCH_THRESHOLD;
+        return GestureRegistry.tipDistance(landmarks, 4, 8) < limit &&
+            GestureRegistry.tipDistance(landmarks, 4, 12) < limit &&
+            GestureRegistry.tipDistance(landmarks, 8, 12) < limit;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.builtIn] - Register the BUILT_IN poses
+     */
+    constructor({ builtIn = true } = {}) {
+        this.classifiers = new Map();   // name → { classify, holdDuration, missGrace }
+        this.state = { left: {}, right: {} };  // hand → name → { holdStart, active, misses, detected }
+
+        if (builtIn) {
+            Object.entries(GestureRegistry.BUILT_IN).forEach(([name, { classify, ...options }]) => {
+                this.register(name, classify, options);
+            });
+        }
+    }
+
+    /**
+     * Add or replace a pose
+     * @param {string} name
+     * @param {Function} classify - (landmarks, fingers, engaged) → boolean; fingers is
+     *   fingerStates(landmarks), engaged is true once the pose has been seen (for hysteresis)
+     * @param {Object} [options]
+     * @param {number} [options.holdDuration] - ms the pose must be held before it is confirmed
+     * @param {number} [options.missGrace] - Missed frames at which a pose resets (1 = at once)
+     */
+    register(name, classify, {
+        holdDuration = GestureRegistry.HOLD_DURATION_MS,
+        missGrace = GestureRegistry.MISS_GRACE
+    } = {}) {
+        this.classifiers.set(name, { classify, holdDuration, missGrace: Math.max(1, missGrace) });
+        delete this.state.left[name];
+        delete this.state.right[name];
+    }
+
+    unregister(name) {
+        this.classifiers.delete(name);
+        delete this.state.left[name];
+        delete this.state.right[name];
+    }
+
+    getNames() {
+        return [...this.classifiers.keys()];
+    }
+
+    /**
+     * Classify one frame and advance the hold timers
+     * @param {Array<{hand: string, landmarks: Array<Object>}>} hands - hand is 'left' or 'right'
+     * @param {number} [now] - Milliseconds
+     * @returns {{left: string[], right: string[]}} Confirmed poses per hand
+     */
+    update(hands, now = performance.now()) {
+        const detected = { left: new Set(), right: new Set() };
+        hands.forEach(({ hand, landmarks }) => {
+            if (!detected[hand] || !landmarks || landmarks.length < 21) return;
+            const fingers = GestureRegistry.fingerStates(landmarks);
+            this.classifiers.forEach(({ classify }, name) => {
+                const state = this.state[hand][name];
+                try {
+                    if (classify(landmarks, fingers, !!state && state.holdStart !== null)) detected[hand].add(name);
+                } catch (err) {
+                    debugLog(`Gesture classifier ${name} failed:`, err);
+                }
+            });
+        });
+
+        const confirmed = { left: [], right: [] };
+        ['left', 'right'].forEach(hand => {
+            this.classifiers.forEach(({ holdDuration, missGrace }, name) => {
+                const state = this.state[hand][name] ||
+                    (this.state[hand][name] = { holdStart: null, active: false, misses: 0, detected: false });
+                state.detected = detected[hand].has(name);
+
+                if (state.detected) {
+                    state.misses = 0;
+                    if (state.holdStart === null) {
+                        state.holdStart = now;
+                        state.active = false;
+                    } else if (!state.active && now - state.holdStart >= holdDuration) {
+                        state.active = true;
+                        if (window.DEBUG) console.log(`${hand} ${name} activated after hold`);
+                    }
+                } else if (state.holdStart !== null) {
+                    // Tolerate brief detection gaps before resetting
+                    state.misses++;
+                    if (state.misses >= missGrace) {
+                        state.holdStart = null;
+                        state.active = false;
+                        state.misses = 0;
+                    }
+                }
+                if (state.active) confirmed[hand].push(name);
+            });
+        });
+        return confirmed;
+    }
+
+    // Confirmed (held long enough, not yet lost)
+    isActive(hand, name) {
+        const state = this.state[hand] && this.state[hand][name];
+        return !!state && state.active;
+    }
+
+    // Seen in the last frame (confirmed or not)
+    isDetected(hand, name) {
+        const state = this.state[hand] && this.state[hand][name];
+        return !!state && state.detected;
+    }
+
+    /**
+     * Hold progress for status displays
+     * @returns {number} 0 (not seen) to 1 (confirmed)
+     */
+    getProgress(hand, name, now = performance.now()) {
+        const state = this.state[hand] && this.state[hand][name];
+        const classifier = this.classifiers.get(name);
+        if (!state || !classifier || state.holdStart === null) return 0;
+        if (state.active) return 1;
+        return Math.min(1, (now - state.holdStart) / classifier.holdDuration);
+    }
+
+    // Drop every hold timer and confirmed pose
+    reset() {
+        this.state = { left: {}, right: {} };
+    }
+}
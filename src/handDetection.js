@@ -1,10 +1,6 @@
 class HandDetector {
-    // Pinch detection threshold (normalized distance)
-    static PINCH_THRESHOLD = 0.05;
-    static PINCH_MISS_GRACE = 2; // frames of missed detection to tolerate before resetting
-
-    // Hold-to-activate duration in milliseconds
-    static HOLD_DURATION_MS = 450;
+    // Feature vector entries that go through the smoother, as '<hand><Name>' signals
+    static SMOOTHED_FEATURES = ['x', 'y', 'size', 'openness', 'spread', 'angle', 'pitch', 'roll', 'speed'];
 
     constructor(onResultsCallback) {
         this.onResultsCallback = onResultsCallback;
@@ -29,12 +25,16 @@ class HandDetector {
         this.pinchPosition = null;
         this.pinchHand = null;
 
-        // Hold-to-activate state tracking
-        this.fistHoldStart = { left: null, right: null };
-        this.pinchHoldStart = null;
-        this.fistActive = { left: false, right: false };
-        this.pinchActiveConfirmed = false;
-        this.pinchMissCount = 0;
+        // Static poses (fist, pinch, open palm, point, peace, thumbs up, three-finger pinch)
+        // with hold-to-activate and miss grace; register more with this.gestures.register()
+        this.gestures = new GestureRegistry();
+        this.confirmedGestures = { left: [], right: [] };
+
+        // Continuous per-hand feature vectors (position, size, openness, spread, tilt, velocity)
+        this.features = new HandFeatures();
+
+        // Smoothing and latency prediction for every continuous signal (configure via this.smoother)
+        this.smoother = new SignalSmoother();
 
         // Throttle state for hand detection
         this.lastSendTime = 0;
@@ -111,34 +111,17 @@ class HandDetector {
     }
     
     isFist(landmarks) {
-        const fingerTips = [4, 8, 12, 16, 20];
-        const fingerMCPs = [2, 5, 9, 13, 17];
-
-        let foldedFingers = 0;
-
-        for (let i = 0; i < fingerTips.length; i++) {
-            const tip = landmarks[fingerTips[i]];
-            const mcp = landmarks[fingerMCPs[i]];
-
-            if (tip.y > mcp.y) {
-                foldedFingers++;
-            }
-        }
-
-        return foldedFingers >= 4;
+        return GestureRegistry.BUILT_IN.fist.classify(landmarks, GestureRegistry.fingerStates(landmarks));
     }
 
     isPinch(landmarks) {
-        // Check if thumb tip (4) and index tip (8) are close together
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-
-        const dx = thumbTip.x - indexTip.x;
-        const dy = thumbTip.y - indexTip.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        // Thumb and index tips together, not a fist and not a three-finger pinch
+        return GestureRegistry.BUILT_IN.pinch.classify(landmarks, GestureRegistry.fingerStates(landmarks));
+    }
 
-        // Pinch detected if close together AND not a fist
-        return distance < HandDetector.PINCH_THRESHOLD && !this.isFist(landmarks);
+    // How open the hand is: 0 = fist, 1 = fingers fully extended (continuous)
+    getOpenness(landmarks) {
+        return HandFeatures.openness(landmarks);
     }
 
     getPinchPosition(landmarks) {
@@ -153,134 +136,52 @@ class HandDetector {
     }
     
     getHandRotationAngle(results) {
-        let leftRotation = this.lastLeftRotation;
-        let rightRotation = this.lastRightRotation;
-
         const now = performance.now();
 
-        // Track which hands/gestures are detected this frame
-        let leftFistDetected = false;
-        let rightFistDetected = false;
-        let pinchDetected = false;
-        let pinchData = null;
-
-        if (results.multiHandLandmarks && results.multiHandedness) {
-            if (window.DEBUG) console.log(`Detected ${results.multiHandLandmarks.length} hand(s)`);
-
-            results.multiHandedness.forEach((handedness, index) => {
-                const landmarks = results.multiHandLandmarks[index];
-                const rotation = this.calculateHandRotation(landmarks);
-                const isFist = this.isFist(landmarks);
-                const isPinch = this.isPinch(landmarks);
-                const label = handedness.label;
-                const confidence = (handedness.score * 100).toFixed(0);
-
-                if (window.DEBUG) console.log(`${label} hand: ${rotation.toFixed(1)}° (confidence: ${confidence}%, fist: ${isFist}, pinch: ${isPinch})`);
-
-                // Check for pinch gesture (takes priority)
-                if (isPinch) {
-                    pinchDetected = true;
-                    pinchData = {
-                        position: this.getPinchPosition(landmarks),
-                        hand: label.toLowerCase()
-                    };
-                }
-
-                // Check for fist gesture (only if not pinching)
-                if (isFist && !isPinch) {
-                    if (label === 'Left') {
-                        leftFistDetected = true;
-                        // Store rotation for potential activation
-                        this.hand1Rotation = rotation;
-                    } else {
-                        rightFistDetected = true;
-                        this.hand2Rotation = rotation;
-                    }
+        const hands = (results.multiHandedness || []).map((handedness, index) => ({
+            hand: handedness.label.toLowerCase(),
+            landmarks: results.multiHandLandmarks[index],
+            confidence: handedness.score
+        }));
+        if (window.DEBUG && hands.length > 0) console.log(`Detected ${hands.length} hand(s)`);
+
+        // Hold-to-activate and miss grace for every registered pose
+        this.confirmedGestures = this.gestures.update(hands, now);
+
+        hands.forEach(({ hand, landmarks, confidence }) => {
+            const rotation = this.calculateHandRotation(landmarks);
+            if (window.DEBUG) console.log(`${hand} hand: ${rotation.toFixed(1)}° (confidence: ${(confidence * 100).toFixed(0)}%, poses: ${this.confirmedGestures[hand].join(', ') || 'none'})`);
+
+            // A held fist steers its side's rotation
+            if (this.gestures.isActive(hand, 'fist')) {
+                if (hand === 'left') {
+                    this.lastLeftRotation = rotation;
+                } else {
+                    this.lastRightRotation = rotation;
                 }
-            });
-        }
-
-        // Process left fist hold-to-activate
-        if (leftFistDetected) {
-            if (this.fistHoldStart.left === null) {
-                // Fist just detected, start timer
-                this.fistHoldStart.left = now;
-            } else if (!this.fistActive.left && (now - this.fistHoldStart.left >= HandDetector.HOLD_DURATION_MS)) {
-                // Hold duration met, activate
-                this.fistActive.left = true;
-                if (window.DEBUG) console.log('Left fist activated after hold');
-            }
-
-            // If active, update rotation
-            if (this.fistActive.left) {
-                this.lastLeftRotation = this.hand1Rotation;
             }
-        } else {
-            // Fist not detected, reset
-            this.fistHoldStart.left = null;
-            this.fistActive.left = false;
-        }
-
-        // Process right fist hold-to-activate
-        if (rightFistDetected) {
-            if (this.fistHoldStart.right === null) {
-                this.fistHoldStart.right = now;
-            } else if (!this.fistActive.right && (now - this.fistHoldStart.right >= HandDetector.HOLD_DURATION_MS)) {
-                this.fistActive.right = true;
-                if (window.DEBUG) console.log('Right fist activated after hold');
-            }
-
-            if (this.fistActive.right) {
-                this.lastRightRotation = this.hand2Rotation;
+        });
+
+        // Pinch: stay with the hand that is already pinching, else take the first confirmed one
+        const pinchHands = ['left', 'right'].filter(hand => this.gestures.isActive(hand, 'pinch'));
+        const pinchHand = pinchHands.includes(this.pinchHand) ? this.pinchHand : pinchHands[0];
+        if (pinchHand) {
+            this.pinchActive = true;
+            this.pinchHand = pinchHand;
+            // Across a brief detection gap the last position is kept
+            const pinching = this.gestures.isDetected(pinchHand, 'pinch') && hands.find(({ hand }) => hand === pinchHand);
+            if (pinching) {
+                this.pinchPosition = this.getPinchPosition(pinching.landmarks);
             }
         } else {
-            this.fistHoldStart.right = null;
-            this.fistActive.right = false;
+            this.pinchActive = false;
+            this.pinchPosition = null;
+            this.pinchHand = null;
         }
 
-        // Process pinch hold-to-activate
-        if (pinchDetected) {
-            this.pinchMissCount = 0;
-
-            if (this.pinchHoldStart === null) {
-                // Pinch just detected, start timer
-                this.pinchHoldStart = now;
-                this.pinchActiveConfirmed = false;
-            } else if (!this.pinchActiveConfirmed && (now - this.pinchHoldStart >= HandDetector.HOLD_DURATION_MS)) {
-                // Hold duration met, activate
-                this.pinchActiveConfirmed = true;
-                if (window.DEBUG) console.log('Pinch activated after hold');
-            }
-
-            // Update pinch state if confirmed
-            if (this.pinchActiveConfirmed) {
-                this.pinchActive = true;
-                this.pinchPosition = pinchData.position;
-                this.pinchHand = pinchData.hand;
-            } else {
-                this.pinchActive = false;
-                this.pinchPosition = null;
-                this.pinchHand = null;
-            }
-        } else {
-            // Tolerate brief detection gaps before resetting pinch state
-            this.pinchMissCount++;
-            if (this.pinchMissCount >= HandDetector.PINCH_MISS_GRACE) {
-                this.pinchHoldStart = null;
-                this.pinchActiveConfirmed = false;
-                this.pinchActive = false;
-                this.pinchPosition = null;
-                this.pinchHand = null;
-            }
-            // else: maintain last pinch state across the gap
-        }
-
-        leftRotation = this.lastLeftRotation;
-        rightRotation = this.lastRightRotation;
-
-        return { left: leftRotation, right: rightRotation };
+        return { left: this.lastLeftRotation, right: this.lastRightRotation };
     }
-    
+
     onResults(results) {
         if (!this.isInitialized) return;
 
@@ -297,34 +198,49 @@ class HandDetector {
         this.ctx.drawImage(results.image, 0, 0, this.canvas.width, this.canvas.height);
 
         const rotations = this.getHandRotationAngle(results);
-        this.hand1Rotation = rotations.left;
-        this.hand2Rotation = rotations.right;
+        const smooth = (name, value) => this.smoother.process(name, value, now);
+        this.hand1Rotation = smooth('leftRotation', rotations.left);
+        this.hand2Rotation = smooth('rightRotation', rotations.right);
 
         const handsDetected = results.multiHandLandmarks ? results.multiHandLandmarks.length : 0;
 
+        // Feature vector per hand, null while that hand is out of view
+        const features = { left: null, right: null };
+        (results.multiHandedness || []).forEach((handedness, index) => {
+            const hand = handedness.label.toLowerCase();
+            features[hand] = this.features.compute(hand, results.multiHandLandmarks[index], now);
+        });
+        // Hands out of view reset their signals, so a returning hand doesn't glide in
+        ['left', 'right'].forEach(hand => {
+            HandDetector.SMOOTHED_FEATURES.forEach(key => {
+                const value = smooth(hand + key.charAt(0).toUpperCase() + key.slice(1), features[hand] ? features[hand][key] : null);
+                if (features[hand]) features[hand][key] = value;
+            });
+        });
+
+        const pinchPosition = this.pinchPosition;
+        const smoothedPinch = {
+            x: smooth('pinchX', pinchPosition ? pinchPosition.x : null),
+            y: smooth('pinchY', pinchPosition ? pinchPosition.y : null)
+        };
+
         if (window.DEBUG) {
             const now = performance.now();
 
-            // Calculate hold progress
-            const leftFistProgress = this.fistHoldStart.left
-                ? Math.min(100, ((now - this.fistHoldStart.left) / HandDetector.HOLD_DURATION_MS * 100)).toFixed(0)
-                : 0;
-            const rightFistProgress = this.fistHoldStart.right
-                ? Math.min(100, ((now - this.fistHoldStart.right) / HandDetector.HOLD_DURATION_MS * 100)).toFixed(0)
-                : 0;
-            const pinchProgress = this.pinchHoldStart
-                ? Math.min(100, ((now - this.pinchHoldStart) / HandDetector.HOLD_DURATION_MS * 100)).toFixed(0)
-                : 0;
-
-            const leftFistStatus = this.fistActive.left ? '✓ ACTIVE' : (leftFistProgress > 0 ? `${leftFistProgress}%` : 'none');
-            const rightFistStatus = this.fistActive.right ? '✓ ACTIVE' : (rightFistProgress > 0 ? `${rightFistProgress}%` : 'none');
-            const pinchStatus = this.pinchActiveConfirmed ? `✓ ACTIVE (${this.pinchHand})` : (pinchProgress > 0 ? `${pinchProgress}%` : 'none');
+            // Hold progress of a pose on one hand
+            const status = (hand, name) => {
+                const progress = this.gestures.getProgress(hand, name, now);
+                return progress >= 1 ? '✓ ACTIVE' : (progress > 0 ? `${(progress * 100).toFixed(0)}%` : 'none');
+            };
+            const poses = (hand) => this.confirmedGestures[hand].join(', ') || 'none';
 
             this.updateStatus(`
                 Hands Detected: ${handsDetected}<br>
-                Left Fist: ${leftFistStatus} (${this.hand1Rotation.toFixed(1)}°)<br>
-                Right Fist: ${rightFistStatus} (${this.hand2Rotation.toFixed(1)}°)<br>
-                Pinch: ${pinchStatus}<br>
+                Left Fist: ${status('left', 'fist')} (${this.hand1Rotation.toFixed(1)}°)<br>
+                Right Fist: ${status('right', 'fist')} (${this.hand2Rotation.toFixed(1)}°)<br>
+                Pinch: ${this.pinchActive ? `✓ ACTIVE (${this.pinchHand})` : 'none'}<br>
+                Left Poses: ${poses('left')}<br>
+                Right Poses: ${poses('right')}<br>
                 FPS: ${this.fps}
             `);
         }
@@ -334,12 +250,24 @@ class HandDetector {
                 handsDetected,
                 leftRotation: this.hand1Rotation,
                 rightRotation: this.hand2Rotation,
+                leftOpenness: features.left ? features.left.openness : null,
+                rightOpenness: features.right ? features.right.openness : null,
                 fps: this.fps,
                 pinch: {
                     active: this.pinchActive,
-                    position: this.pinchPosition,
+                    position: pinchPosition ? smoothedPinch : null,
                     hand: this.pinchHand
-                }
+                },
+                // Confirmed poses per hand, e.g. { left: ['peace'], right: ['fist'] }
+                gestures: {
+                    left: [...this.confirmedGestures.left],
+                    right: [...this.confirmedGestures.right]
+                },
+                // Continuous features per hand (see HandFeatures.compute), null while out of view
+                features,
+                // Raw MediaPipe landmarks (21 per hand) and their 'left'/'right' labels
+                landmarks: results.multiHandLandmarks || [],
+                handedness: (results.multiHandedness || []).map(h => h.label.toLowerCase())
             });
         }
     }
@@ -0,0 +1,125 @@
+// Hand Features - Continuous per-hand measurements for the mapping layer
+// Every frame each visible hand is reduced to a feature vector: palm position, size in the
+// frame (a proxy for distance from the camera), openness, finger spread, in-plane angle,
+// pitch and roll from MediaPipe's z coordinates, and palm velocity. Unlike the fist
+// rotation these are always live and not clamped to ±90°.
+
+class HandFeatures {
+    static PALM = [0, 5, 9, 13, 17];          // Wrist and finger bases
+    static OPENNESS_RANGE = [0.6, 1.3];       // Fingertip distance from the palm center, in palm lengths, for 0 (fist) and 1 (open)
+    static SIZE_RANGE = [0.05, 0.3];          // Palm length (frame units) mapped to size 0 (far) and 1 (close)
+    static SPREAD_RANGE = [10, 70];           // Degrees between index and pinky mapped to spread 0 and 1
+    static MAX_GAP_MS = 250;                  // Longer detection gaps restart the velocity
+
+    // Palm center: mean of the wrist and finger bases
+    static palmCenter(landmarks) {
+        const palm = HandFeatures.PALM;
+        return palm.reduce((sum, i) => ({
+            x: sum.x + landmarks[i].x / palm.length,
+            y: sum.y + landmarks[i].y / palm.length
+        }), { x: 0, y: 0 });
+    }
+
+    // How open the hand is: 0 = fist, 1 = fingers fully extended
+    static openness(landmarks) {
+        const center = HandFeatures.palmCenter(landmarks);
+        // Palm length (wrist to middle finger base) makes it independent of hand distance
+        const palmLength = GestureRegistry.palmLength(landmarks);
+        if (palmLength === 0) return 0;
+
+        const fingerTips = [4, 8, 12, 16, 20];
+        const reach = fingerTips.reduce((sum, i) => (
+            sum + Math.hypot(landmarks[i].x - center.x, landmarks[i].y - center.y)
+        ), 0) / fingerTips.length / palmLength;
+
+        return HandFeatures._range(reach, HandFeatures.OPENNESS_RANGE);
+    }
+
+    // Fan angle between the index and pinky fingers: 0 = together, 1 = spread wide
+    static spread(landmarks) {
+        // Base to middle joint: stays meaningful while the fingertips curl
+        const direction = (base, joint) => Math.atan2(landmarks[joint].y - landmarks[base].y, landmarks[joint].x - landmarks[base].x);
+        let degrees = Math.abs(direction(5, 7) - direction(17, 19)) * 180 / Math.PI;
+        if (degrees > 180) degrees = 360 - degrees;
+        return HandFeatures._range(degrees, HandFeatures.SPREAD_RANGE);
+    }
+
+    /**
+     * Tilt of the palm out of the image plane, from the landmarks' z (negative = towards the camera)
+     * @returns {{pitch: number, roll: number}} Degrees, ±90: pitch > 0 when the fingers lean
+     *   towards the camera, roll > 0 when the index side is nearer than the pinky side
+     */
+    static tilt(landmarks) {
+        const outOfPlane = (from, to) => {
+            const a = landmarks[from];
+            const b = landmarks[to];
+            const length = Math.hypot(b.x - a.x, b.y - a.y, (b.z || 0) - (a.z || 0));
+            return length > 0 ? Math.asin(((a.z || 0) - (b.z || 0)) / length) * 180 / Math.PI : 0;
+        };
+        return { pitch: outOfPlane(0, 9), roll: outOfPlane(17, 5) };
+    }
+
+    // Wrist to middle finger base in degrees, 0 = fingers up, clockwise positive, ±180
+    static angle(landmarks) {
+        const dx = landmarks[9].x - landmarks[0].x;
+        const dy = landmarks[9].y - landmarks[0].y;
+        return Math.atan2(dx, -dy) * 180 / Math.PI;
+    }
+
+    // Value mapped from [min, max] to 0–1, clamped
+    static _range(value, [min, max]) {
+        if (!isFinite(value)) return 0;
+        return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    }
+
+    constructor() {
+        this.last = { left: null, right: null };  // hand → { x, y, time } for velocity
+    }
+
+    /**
+     * Measure one hand
+     * @param {string} hand - 'left' or 'right'
+     * @param {Array<Object>} landmarks - 21 points with x, y, z
+     * @param {number} [now] - Milliseconds
+     * @returns {{x: number, y: number, size: number, openness: number, spread: number, angle: number,
+     *   pitch: number, roll: number, velocity: {x: number, y: number}, speed: number}}
+     *   x/y are the palm center in frame units (0–1, unmirrored); velocity and speed are frame
+     *   units per second; angle, pitch and roll are degrees; the rest are 0–1
+     */
+    compute(hand, landmarks, now = performance.now()) {
+        const center = HandFeatures.palmCenter(landmarks);
+        const { pitch, roll } = HandFeatures.tilt(landmarks);
+
+        const velocity = { x: 0, y: 0 };
+        const last = this.last[hand];
+        if (last && now > last.time && now - last.time <= HandFeatures.MAX_GAP_MS) {
+            const dt = (now - last.time) / 1000;
+            velocity.x = (center.x - last.x) / dt;
+            velocity.y = (center.y - last.y) / dt;
+        }
+        this.last[hand] = { x: center.x, y: center.y, time: now };
+
+        // 3D palm length, so tilting the hand doesn't read as moving away
+        const wrist = landmarks[0];
+        const middle = landmarks[9];
+        const palmLength = Math.hypot(middle.x - wrist.x, middle.y - wrist.y, (middle.z || 0) - (wrist.z || 0));
+
+        return {
+            x: center.x,
+            y: center.y,
+            size: HandFeatures._range(palmLength, HandFeatures.SIZE_RANGE),
+            openness: HandFeatures.openness(landmarks),
+            spread: HandFeatures.spread(landmarks),
+            angle: HandFeatures.angle(landmarks),
+            pitch,
+            roll,
+            velocity,
+            speed: Math.hypot(velocity.x, velocity.y)
+        };
+    }
+
+    // Forget the previous positions (velocity restarts at 0)
+    reset() {
+        this.last = { left: null, right: null };
+    }
+}
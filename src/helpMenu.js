@@ -42,11 +42,17 @@ class HelpMenu {
                 <div class="help-item">• Audio: <span class="help-item-desc">Width (stereo spread)</span></div>
             </div>
 
+            <div class="help-section">
+                <div class="help-section-title">Left Hand (Open / Close):</div>
+                <div class="help-item">• Audio: <span class="help-item-desc">Vowel (open a → closed u, with ?vowel=0.4)</span></div>
+            </div>
+
             <div class="help-section">
                 <div class="help-section-title">Right Pinch (Index + Thumb):</div>
                 <div class="help-item">• Opens key selector overlay</div>
                 <div class="help-item">• Move hand to hover over key</div>
                 <div class="help-item">• Release to change key</div>
+                <div class="help-item">• Quick tap: next progression step</div>
             </div>
 
             <div class="help-section">
@@ -54,6 +60,35 @@ class HelpMenu {
                 <div class="help-item">• Height controls volume</div>
                 <div class="help-item">• Release to lock volume</div>
             </div>
+
+            <div class="help-section">
+                <div class="help-section-title">Poses (for mappings):</div>
+                <div class="help-item">• Open palm, point, peace, thumbs up, three-finger pinch</div>
+                <div class="help-item">• Hold briefly; map e.g. leftPeace in a mapping file</div>
+            </div>
+
+            <div class="help-section">
+                <div class="help-section-title">Keyboard:</div>
+                <div class="help-item">• I: <span class="help-item-desc">Load reverb impulse responses</span></div>
+                <div class="help-item">• R: <span class="help-item-desc">Arm recording (starts with your hands) / stop &amp; save</span></div>
+                <div class="help-item">• P: <span class="help-item-desc">Pause / resume recording</span></div>
+                <div class="help-item">• G: <span class="help-item-desc">Record gestures to JSON (Shift+G adds landmarks)</span></div>
+                <div class="help-item">• L: <span class="help-item-desc">Replay a gesture recording / stop replay</span></div>
+                <div class="help-item">• − / +: <span class="help-item-desc">Replay speed</span></div>
+                <div class="help-item">• B: <span class="help-item-desc">Bounce the last gesture recording to WAV</span></div>
+                <div class="help-item">• M: <span class="help-item-desc">Save the gesture mapping to JSON</span></div>
+                <div class="help-item">• [ / ]: <span class="help-item-desc">Previous / next preset</span></div>
+                <div class="help-item">• S / E: <span class="help-item-desc">Save the sound as a preset / export it to JSON</span></div>
+                <div class="help-item">• 1–9, 0: <span class="help-item-desc">Morph to a scene (Shift+digit stores it)</span></div>
+                <div class="help-item">• X: <span class="help-item-desc">Export scenes to JSON</span></div>
+                <div class="help-item">• N: <span class="help-item-desc">Next progression step (Shift+N previous)</span></div>
+                <div class="help-item">• Q: <span class="help-item-desc">Run / stop the progression on the clock</span></div>
+                <div class="help-item">• T: <span class="help-item-desc">Tap tempo (Shift+T rhythm on / off)</span></div>
+                <div class="help-item">• V: <span class="help-item-desc">Lead voice on / off (Shift+V pitch mode)</span></div>
+                <div class="help-item">• H: <span class="help-item-desc">Pedal tone on / off (Shift+H hold / follow the key)</span></div>
+                <div class="help-item">• A: <span class="help-item-desc">Mic input on / off (Shift+A plays an audio file instead)</span></div>
+                <div class="help-item">• K: <span class="help-item-desc">Follow the input's detected key (Shift+K auto / confirm / off)</span></div>
+            </div>
         `;
     }
 }
@@ -65,6 +65,14 @@ class IOSAudioUnlock {
         }
     }
 
+    // Forget the unlock so the next unlock() replays the silent audio
+    // (iOS can drop the playback session after an interruption such as a call)
+    reset() {
+        if (this.isIOS) {
+            this.isUnlocked = false;
+        }
+    }
+
     onUnlock(callback) {
         if (this.isUnlocked) {
             callback();
@@ -0,0 +1,153 @@
+// Key Detector - Estimates the tonal center of live audio from its spectrum
+// Folds FFT frames into a 12-bin chroma vector, averages it over the last few seconds and
+// correlates it against Krumhansl-Kessler major/minor key profiles. A key is only
+// reported once it has won for a while, so a passing chord doesn't yank the drone around.
+
+class KeyDetector {
+    // Krumhansl-Kessler probe-tone ratings, from the tonic upwards
+    static MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+    static MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+    // Key names by pitch class (0 = C), spelled as on the key overlay
+    static MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+    static MINOR_NAMES = ['Cm', 'C#m', 'Dm', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'Bbm', 'Bm'];
+
+    static MIN_FREQUENCY = 55;     // Hz, below this bins are too coarse to name a note
+    static MAX_FREQUENCY = 2000;   // Hz, above this harmonics blur the chroma
+    static SILENCE_DB = -70;       // Frames whose loudest bin is below this are skipped
+
+    static DEFAULTS = {
+        memory: 4,                 // Seconds the chroma average looks back (time constant)
+        holdTime: 1.5,             // Seconds a new key must keep winning before it is reported
+        minConfidence: 0.6         // Lowest profile correlation (0–1) that counts as a key
+    };
+
+    /**
+     * Fold an FFT frame into a chroma vector
+     * @param {Float32Array} spectrum - Bin levels in dB (Tone.Analyser 'fft')
+     * @param {number} sampleRate
+     * @param {number} [referencePitch] - A4 in Hz
+     * @returns {Float32Array|null} Energy per pitch class, summing to 1; null for silence
+     */
+    static chroma(spectrum, sampleRate, referencePitch = 440) {
+        const binWidth = sampleRate / (2 * spectrum.length);
+        const first = Math.max(1, Math.ceil(KeyDetector.MIN_FREQUENCY / binWidth));
+        const last = Math.min(spectrum.length - 1, Math.floor(KeyDetector.MAX_FREQUENCY / binWidth));
+
+        const chroma = new Float32Array(12);
+        let loudest = -Infinity;
+        let total = 0;
+        for (let bin = first; bin <= last; bin++) {
+            const db = spectrum[bin];
+            if (!isFinite(db)) continue;
+            loudest = Math.max(loudest, db);
+            const energy = Math.pow(10, db / 10);
+            const midi = 69 + 12 * Math.log2(bin * binWidth / referencePitch);
+            chroma[((Math.round(midi) % 12) + 12) % 12] += energy;
+            total += energy;
+        }
+        if (loudest < KeyDetector.SILENCE_DB || total <= 0) return null;
+
+        for (let pc = 0; pc < 12; pc++) chroma[pc] /= total;
+        return chroma;
+    }
+
+    /**
+     * Best-matching key for a chroma vector
+     * @param {ArrayLike<number>} chroma - 12 values, pitch class 0 = C
+     * @returns {{key: string, root: string, quality: string, confidence: number}}
+     *   confidence is the profile correlation, -1 to 1
+     */
+    static estimate(chroma) {
+        let best = { key: 'C', root: 'C', quality: 'major', confidence: -Infinity };
+        for (let tonic = 0; tonic < 12; tonic++) {
+            [['major', KeyDetector.MAJOR_PROFILE, KeyDetector.MAJOR_NAMES],
+             ['minor', KeyDetector.MINOR_PROFILE, KeyDetector.MINOR_NAMES]].forEach(([quality, profile, names]) => {
+                const rotated = profile.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+                const confidence = KeyDetector._correlation(chroma, rotated);
+                if (confidence > best.confidence) {
+                    const key = names[tonic];
+                    best = { key, root: ChordLibrary.parseKey(key).root, quality, confidence };
+                }
+            });
+        }
+        return best;
+    }
+
+    // Pearson correlation of two equal-length arrays
+    static _correlation(a, b) {
+        const n = a.length;
+        let meanA = 0;
+        let meanB = 0;
+        for (let i = 0; i < n; i++) {
+            meanA += a[i] / n;
+            meanB += b[i] / n;
+        }
+        let cov = 0;
+        let varA = 0;
+        let varB = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (a[i] - meanA) * (b[i] - meanB);
+            varA += (a[i] - meanA) ** 2;
+            varB += (b[i] - meanB) ** 2;
+        }
+        return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+    }
+
+    /**
+     * @param {Object} [options] - Overrides for KeyDetector.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...KeyDetector.DEFAULTS, ...options };
+        this.reset();
+    }
+
+    // Forget the listening history
+    reset() {
+        this.average = new Float32Array(12);
+        this.lastTime = null;
+        this.candidate = null;       // { key, since } currently winning but not yet reported
+        this.key = null;             // Last reported estimate
+    }
+
+    /**
+     * Add an FFT frame
+     * @param {Float32Array} spectrum - Bin levels in dB
+     * @param {number} sampleRate
+     * @param {Object} [options]
+     * @param {number} [options.referencePitch] - A4 in Hz
+     * @param {number} [options.now] - Seconds
+     * @returns {Object|null} A newly settled estimate (see estimate()), or null if nothing changed
+     */
+    process(spectrum, sampleRate, { referencePitch = 440, now = performance.now() / 1000 } = {}) {
+        const frame = KeyDetector.chroma(spectrum, sampleRate, referencePitch);
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, now - this.lastTime);
+        this.lastTime = now;
+        if (!frame) return null;
+
+        // Exponential moving average with a time constant of options.memory seconds
+        const weight = elapsed > 0 ? 1 - Math.exp(-elapsed / this.options.memory) : 1;
+        for (let pc = 0; pc < 12; pc++) {
+            this.average[pc] += (frame[pc] - this.average[pc]) * weight;
+        }
+
+        const estimate = KeyDetector.estimate(this.average);
+        if (estimate.confidence < this.options.minConfidence) {
+            this.candidate = null;
+            return null;
+        }
+        if (!this.candidate || this.candidate.key !== estimate.key) {
+            this.candidate = { key: estimate.key, since: now };
+        }
+        const settled = now - this.candidate.since >= this.options.holdTime;
+        if (!settled || (this.key && this.key.key === estimate.key)) return null;
+
+        this.key = estimate;
+        return estimate;
+    }
+
+    // Last reported estimate, or null
+    getKey() {
+        return this.key;
+    }
+}
@@ -13,6 +13,7 @@ class KeyOverlay {
     static FADE_DURATION = 200;
     static ROTATION_DURATION = 300;
     static HIDE_DELAY = 1500;  // Delay before hiding after key change (ms)
+    static PREVIEW_OPACITY = 0.3;  // Resting opacity while a next step is previewed hands-free
 
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -23,9 +24,14 @@ class KeyOverlay {
         this.opacity = 0;
         this.currentKey = 'C';
         this.hoveredKey = null;
+        this.nextKey = null;  // Upcoming progression step, outlined as a preview
+        this.previewOpacity = 0;  // Faint overlay shown while nextKey is set and no pinch is open
+        this.lastRenderTime = null;
+        this.lastOpacity = 0;
         this.rotationOffset = 0;  // Radians to rotate so current key is at top
         this.targetRotationOffset = 0;
         this.pinchPosition = null;  // Store pinch position for visual indicator
+        this.tuning = null;  // Optional Tuning used for frequency/tuning labels
 
         // Animation state
         this.fadeStartTime = null;
@@ -115,10 +121,28 @@ class KeyOverlay {
         }
     }
 
+    setTuning(tuning) {
+        this.tuning = tuning;
+    }
+
+    // Root frequency label for a key under the current tuning (e.g. '130.8 Hz')
+    getKeyFrequencyLabel(keyName) {
+        if (!this.tuning) return null;
+        const { root } = ChordLibrary.parseKey(keyName);
+        if (!ChordLibrary.hasRoot(root)) return null;
+        return `${this.tuning.rootFrequency(ChordLibrary.NOTE_INDEX[root]).toFixed(1)} Hz`;
+    }
+
     setHoveredKey(keyName) {
         this.hoveredKey = keyName;
     }
 
+    // Preview the next progression step (null clears it); the overlay stays faintly
+    // visible while a step is previewed, so timed progressions show it hands-free
+    setNextKey(keyName) {
+        this.nextKey = keyName;
+    }
+
     getKeyIndex(keyName) {
         // Find index in major or minor keys array
         let index = KeyOverlay.MAJOR_KEYS.indexOf(keyName);
@@ -213,16 +237,30 @@ class KeyOverlay {
             }
         }
 
+        // Fade the resting preview in or out with the next step
+        const dt = this.lastRenderTime === null ? 0 : now - this.lastRenderTime;
+        this.lastRenderTime = now;
+        const previewTarget = this.nextKey ? KeyOverlay.PREVIEW_OPACITY : 0;
+        const previewStep = KeyOverlay.PREVIEW_OPACITY * dt / KeyOverlay.FADE_DURATION;
+        this.previewOpacity = previewTarget > this.previewOpacity
+            ? Math.min(previewTarget, this.previewOpacity + previewStep)
+            : Math.max(previewTarget, this.previewOpacity - previewStep);
+
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Only draw if visible
-        if (this.visible || this.opacity > 0) {
-            this.ctx.globalAlpha = this.opacity;
+        // Only draw if visible (or previewing the next step)
+        const opacity = Math.max(this.opacity, this.previewOpacity);
+        if (opacity > 0) {
+            this.ctx.globalAlpha = opacity;
             this.drawOverlay(now);
             this.ctx.globalAlpha = 1;
             this.needsTextureUpdate = true;
+        } else if (this.lastOpacity > 0) {
+            // Push the cleared canvas once so the last faint frame doesn't linger
+            this.needsTextureUpdate = true;
         }
+        this.lastOpacity = opacity;
 
         // Update texture if needed
         this.updateTexture();
@@ -330,6 +368,7 @@ class KeyOverlay {
             // Check if this segment is hovered
             const isHovered = key === this.hoveredKey;
             const isCurrent = key === this.currentKey;
+            const isNext = key === this.nextKey && !isCurrent;
 
             // Glitch offset
             const glitch = this.glitchSeeds[i + (isMinor ? 12 : 0)];
@@ -351,10 +390,12 @@ class KeyOverlay {
             }
             ctx.fill();
 
-            // Segment border
-            ctx.strokeStyle = isHovered ? 'rgba(0, 255, 0, 0.8)' : 'rgba(100, 100, 100, 0.5)';
-            ctx.lineWidth = isHovered ? 3 : 1;
+            // Segment border (dashed for the next progression step)
+            ctx.strokeStyle = isHovered || isNext ? 'rgba(0, 255, 0, 0.8)' : 'rgba(100, 100, 100, 0.5)';
+            ctx.lineWidth = isHovered ? 3 : (isNext ? 2 : 1);
+            ctx.setLineDash(isNext && !isHovered ? [6, 4] : []);
             ctx.stroke();
+            ctx.setLineDash([]);
 
             // Draw key label
             const midAngle = startAngle + segmentAngle / 2;
@@ -380,6 +421,17 @@ class KeyOverlay {
             }
 
             ctx.fillText(key, labelX, labelY);
+
+            // Tuned root frequency under the hovered key, 'next' under the next step
+            const frequencyLabel = isHovered ? this.getKeyFrequencyLabel(key) : null;
+            if (frequencyLabel) {
+                ctx.font = `10px 'Courier New', monospace`;
+                ctx.fillText(frequencyLabel, labelX, labelY + fontSize * 0.9);
+            } else if (isNext) {
+                ctx.font = `10px 'Courier New', monospace`;
+                ctx.fillStyle = '#0f0';
+                ctx.fillText('next', labelX, labelY + fontSize * 0.9);
+            }
         });
     }
 
@@ -395,7 +447,20 @@ class KeyOverlay {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillStyle = '#0f0';
-        ctx.fillText(this.currentKey, cx, cy);
+
+        if (!this.tuning) {
+            ctx.fillText(this.currentKey, cx, cy);
+            return;
+        }
+
+        // Key with its tuned root frequency and the tuning name
+        ctx.fillText(this.currentKey, cx, cy - radius * 0.15);
+        ctx.font = `12px 'Courier New', monospace`;
+        ctx.fillStyle = '#fff';
+        ctx.fillText(this.getKeyFrequencyLabel(this.currentKey) || '', cx, cy + radius * 0.3);
+        ctx.fillStyle = '#888';
+        ctx.font = `10px 'Courier New', monospace`;
+        ctx.fillText(this.tuning.getLabel(), cx, cy + radius * 0.55, radius * 1.8);
     }
 
     drawScanlines(ctx) {
@@ -0,0 +1,226 @@
+// Lead Voice - Theremin-style lead played by one hand's height above the drone
+// The palm height picks a pitch over a few octaves above the current root, either
+// continuously, snapped to the key's scale or snapped to the current chord's tones.
+// It has its own oscillator, filter, gain, glide and vibrato, and feeds the effects rack.
+
+class LeadVoice {
+    static MODES = ['continuous', 'scale', 'chord'];
+    static TYPES = ['sine', 'triangle', 'square', 'sawtooth', 'fmsine', 'fmtriangle', 'fmsquare', 'fmsawtooth'];
+
+    // Scale degrees (semitones above the root) for scale quantizing, by engine.isMinor
+    static SCALES = {
+        major: [0, 2, 4, 5, 7, 9, 11],
+        minor: [0, 2, 3, 5, 7, 8, 10]
+    };
+
+    static DEFAULTS = {
+        mode: 'scale',
+        hand: 'left',           // MediaPipe label of the playing hand (the key-selector hand)
+        type: 'triangle',
+        octave: 4,              // Lowest note: the current root in this octave
+        octaves: 2,             // Range above it
+        level: 0.5,
+        glide: 0.08,            // Seconds
+        vibrato: { rate: 5, depth: 12 }  // Hz, ± cents
+    };
+
+    static LEVEL = 0.35;         // Gain at level 1, against the voice mixer
+    static ATTACK = 0.08;        // Seconds to fade in when the hand appears
+    static RELEASE = 0.4;        // Seconds to fade out when it leaves
+    static HEIGHT_MARGIN = 0.1;  // Heights use the central 80% of the frame
+    static MAX_VIBRATO = 50;     // ± cents at vibrato depth target 1
+
+    /**
+     * Palm height of a hand, 0 (bottom of the frame) to 1 (top)
+     * Reads the smoothed palm center from the hand features, which every recording keeps;
+     * recordings made before features existed fall back to their raw landmarks, if stored.
+     * @param {Object} results - HandDetector / GesturePlayer results
+     * @param {string} hand - 'left' or 'right'
+     * @returns {number|null} null when that hand isn't in view
+     */
+    static handHeight(results, hand) {
+        let palmY = null;
+        if (results.features) {
+            palmY = results.features[hand] ? results.features[hand].y : null;
+        } else {
+            const index = (results.handedness || []).indexOf(hand);
+            const landmarks = index === -1 ? null : (results.landmarks || [])[index];
+            if (landmarks && landmarks.length >= 21) palmY = HandFeatures.palmCenter(landmarks).y;
+        }
+        if (typeof palmY !== 'number' || !isFinite(palmY)) return null;
+
+        const margin = LeadVoice.HEIGHT_MARGIN;
+        return Math.max(0, Math.min(1, (1 - palmY - margin) / (1 - 2 * margin)));
+    }
+
+    /**
+     * Nearest semitone offset whose pitch class is in a set of degrees
+     * @param {number} semitones - Offset above the root
+     * @param {number[]} degrees - Semitones above the root (any octave)
+     * @returns {number}
+     */
+    static quantize(semitones, degrees) {
+        const classes = [...new Set(degrees.map(d => ((d % 12) + 12) % 12))];
+        const octaveBase = Math.floor(semitones / 12) * 12;
+        let best = semitones;
+        let bestDistance = Infinity;
+        // Check this octave and its neighbours so the nearest tone can be across the octave line
+        [-12, 0, 12].forEach(shift => {
+            classes.forEach(pc => {
+                const candidate = octaveBase + shift + pc;
+                const distance = Math.abs(candidate - semitones);
+                if (distance < bestDistance) {
+                    best = candidate;
+                    bestDistance = distance;
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * @param {AudioEngine} engine - Supplies the context, key, chord and tuning
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.context = engine.context;
+
+        this.enabled = false;
+        this.settings = { ...LeadVoice.DEFAULTS, vibrato: { ...LeadVoice.DEFAULTS.vibrato } };
+        this.sounding = false;
+        this.lastNote = null;     // Last played { midi, frequency }
+
+        // Built by init()
+        this.oscillator = null;
+        this.vibrato = null;
+        this.filter = null;
+        this.amp = null;
+        this.output = null;
+    }
+
+    // Build the nodes: oscillator (+ vibrato on detune) → filter → amp → output
+    init() {
+        const context = this.context;
+        const { type, vibrato } = this.settings;
+        this.output = new Tone.Gain({ context });
+        this.amp = new Tone.Gain({ context, gain: 0 }).connect(this.output);
+        this.filter = new Tone.Filter({ context, type: 'lowpass', frequency: 3500, Q: 0.7 }).connect(this.amp);
+        this.oscillator = new Tone.OmniOscillator({ context, type, frequency: 440 }).connect(this.filter).start();
+        this.vibrato = new Tone.LFO({
+            context,
+            frequency: vibrato.rate,
+            min: -vibrato.depth,
+            max: vibrato.depth
+        }).connect(this.oscillator.detune).start();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) this.release();
+    }
+
+    /**
+     * Change any of the lead settings (see DEFAULTS)
+     * @param {Object} settings - { mode, hand, type, octave, octaves, level, glide, vibrato: { rate, depth } }
+     */
+    configure({ mode, hand, type, octave, octaves, level, glide, vibrato } = {}) {
+        const s = this.settings;
+        if (LeadVoice.MODES.includes(mode)) s.mode = mode;
+        if (hand === 'left' || hand === 'right') s.hand = hand;
+        if (LeadVoice.TYPES.includes(type)) {
+            s.type = type;
+            if (this.oscillator) this.oscillator.type = type;
+        }
+        if (this._isNumber(octave)) s.octave = Math.round(Math.max(1, Math.min(6, octave)));
+        if (this._isNumber(octaves)) s.octaves = Math.max(1, Math.min(4, octaves));
+        if (this._isNumber(level)) {
+            s.level = Math.max(0, Math.min(1, level));
+            if (this.sounding) this.amp.gain.rampTo(s.level * LeadVoice.LEVEL, 0.05);
+        }
+        if (this._isNumber(glide)) s.glide = Math.max(0, glide);
+        if (vibrato) {
+            if (this._isNumber(vibrato.rate)) s.vibrato.rate = Math.max(0, vibrato.rate);
+            if (this._isNumber(vibrato.depth)) s.vibrato.depth = Math.max(0, vibrato.depth);
+            if (this.vibrato) {
+                this.vibrato.frequency.rampTo(s.vibrato.rate, 0.1);
+                this.vibrato.min = -s.vibrato.depth;
+                this.vibrato.max = s.vibrato.depth;
+            }
+        }
+    }
+
+    /**
+     * Play (or glide to) the pitch for a hand height; fades in if silent
+     * @param {number} position - 0 (lowest note) to 1 (top of the range)
+     */
+    play(position) {
+        if (!this.enabled || !this.oscillator || !this._isNumber(position)) return;
+        const note = this.noteFor(position);
+        const frequency = this.oscillator.frequency;
+
+        if (!this.sounding) {
+            // New phrase: start on the pitch instead of gliding up from the last one
+            frequency.cancelAndHoldAtTime(this.context.now());
+            frequency.setValueAtTime(note.frequency, this.context.now());
+            this.amp.gain.cancelAndHoldAtTime(this.context.now());
+            this.amp.gain.rampTo(this.settings.level * LeadVoice.LEVEL, LeadVoice.ATTACK);
+            this.sounding = true;
+        } else if (!this.lastNote || note.frequency !== this.lastNote.frequency) {
+            frequency.rampTo(note.frequency, Math.max(0.005, this.settings.glide));
+        }
+        this.lastNote = note;
+    }
+
+    // Fade out (the hand left the frame, or the lead was switched off)
+    release() {
+        if (!this.sounding || !this.amp) return;
+        this.amp.gain.cancelAndHoldAtTime(this.context.now());
+        this.amp.gain.rampTo(0, LeadVoice.RELEASE);
+        this.sounding = false;
+    }
+
+    /**
+     * Pitch for a hand height under the current key, chord, mode and tuning
+     * @param {number} position - 0–1
+     * @returns {{midi: number, frequency: number}} midi is fractional in continuous mode
+     */
+    noteFor(position) {
+        const engine = this.engine;
+        const { mode, octave, octaves } = this.settings;
+        const rootMidi = Tuning.midiNote(ChordLibrary.NOTE_INDEX[engine.currentRoot], octave);
+        const offset = Math.max(0, Math.min(1, position)) * 12 * octaves;
+
+        let semitones = offset;
+        if (mode === 'scale') {
+            semitones = LeadVoice.quantize(offset, LeadVoice.SCALES[engine.isMinor ? 'minor' : 'major']);
+        } else if (mode === 'chord') {
+            semitones = LeadVoice.quantize(offset, ChordLibrary.QUALITIES[engine.currentQuality]);
+        }
+
+        const midi = rootMidi + semitones;
+        return { midi, frequency: this._frequency(midi, rootMidi) };
+    }
+
+    getState() {
+        return { enabled: this.enabled, ...this.settings, vibrato: { ...this.settings.vibrato } };
+    }
+
+    dispose() {
+        [this.vibrato, this.oscillator, this.filter, this.amp, this.output].forEach(node => node && node.dispose());
+        this.oscillator = null;
+    }
+
+    // Tuned frequency of a possibly fractional MIDI note (interpolated between neighbours)
+    _frequency(midi, rootMidi) {
+        const tuning = this.engine.tuning;
+        const low = Math.floor(midi);
+        const fraction = midi - low;
+        const lowFrequency = tuning.frequency(low, rootMidi);
+        if (fraction === 0) return lowFrequency;
+        return lowFrequency * Math.pow(tuning.frequency(low + 1, rootMidi) / lowFrequency, fraction);
+    }
+
+    _isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+}
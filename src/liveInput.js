@@ -0,0 +1,206 @@
+// Live Input - A microphone, line input or audio file played through the effects rack
+// The input joins the drone voices at the rack, so the hand gestures that shape the drone
+// (filter, chorus, width, reverb) process the live sound too. A KeyDetector listens to
+// it and either moves the drone to the detected key or offers the key for confirmation.
+
+class LiveInput {
+    static KEY_MODES = ['auto', 'confirm', 'off'];
+    static ANALYSER_SIZE = 4096;      // FFT bins: ~6 Hz apart at 48 kHz, enough to separate low semitones
+    static ANALYSIS_INTERVAL = 100;   // ms between key detector frames
+    static FADE_TIME = 0.3;           // Seconds to fade the input in or out
+
+    static DEFAULTS = {
+        level: 0.8,
+        keyMode: 'confirm'
+    };
+
+    /**
+     * Decode an audio file for the file source
+     * @param {File|string} source - File from a picker, or a URL
+     * @param {Tone.BaseContext} context
+     * @returns {Promise<{buffer: Tone.ToneAudioBuffer, name: string}>}
+     */
+    static async decode(source, context) {
+        if (typeof source !== 'string') {
+            const audioBuffer = await context.decodeAudioData(await source.arrayBuffer());
+            return { buffer: new Tone.ToneAudioBuffer(audioBuffer), name: source.name };
+        }
+        const buffer = await Tone.ToneAudioBuffer.fromUrl(source);
+        return { buffer, name: source.split('/').pop() };
+    }
+
+    /**
+     * @param {AudioEngine} engine - Supplies the context and tuning; receives detected keys
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.context = engine.context;
+
+        this.settings = { ...LiveInput.DEFAULTS };
+        this.detector = new KeyDetector();
+        this.source = null;          // { type: 'mic' | 'file', name, node }
+        this.pendingKey = null;      // Detected key waiting for acceptKey() in confirm mode
+        this.analysisTimer = null;
+
+        this.onKey = null;           // Called with (estimate, applied) when a new key settles
+
+        // Built by init()
+        this.input = null;
+        this.output = null;
+        this.analyser = null;
+    }
+
+    // Build the nodes: source → input → output (level), input → analyser
+    init() {
+        const context = this.context;
+        this.input = new Tone.Gain({ context });
+        this.output = new Tone.Gain({ context, gain: 0 });
+        this.analyser = new Tone.Analyser({ context, type: 'fft', size: LiveInput.ANALYSER_SIZE, smoothing: 0.5 });
+        this.input.connect(this.output);
+        this.input.connect(this.analyser);
+    }
+
+    /**
+     * Listen to a microphone or line input (replaces the current source)
+     * @param {string} [deviceId] - Input device id or label (default device if omitted)
+     * @returns {Promise<string>} The device label
+     */
+    async openMic(deviceId) {
+        if (!Tone.UserMedia.supported) {
+            throw new Error('Audio input is not supported in this browser');
+        }
+        const mic = new Tone.UserMedia({ context: this.context });
+        try {
+            await mic.open(deviceId);
+        } catch (err) {
+            // Permission denied or no such device: release the node before reporting
+            mic.dispose();
+            throw err;
+        }
+        const name = (mic.label || 'Microphone').trim();
+        this._setSource({ type: 'mic', name, node: mic });
+        return name;
+    }
+
+    /**
+     * Play an audio file as the input, looping (replaces the current source)
+     * Stands in for a live musician when rehearsing or testing key detection.
+     * @param {File|string} source - File from a picker, or a URL
+     * @returns {Promise<string>} The file name
+     */
+    async openFile(source) {
+        const { buffer, name } = await LiveInput.decode(source, this.context);
+        const player = new Tone.Player({ context: this.context, url: buffer, loop: true });
+        this._setSource({ type: 'file', name, node: player });
+        player.start();
+        return name;
+    }
+
+    // Fade out and release the current source
+    close() {
+        if (!this.source) return;
+        const { node } = this.source;
+        this.source = null;
+        this.pendingKey = null;
+        clearInterval(this.analysisTimer);
+        this.analysisTimer = null;
+
+        this.output.gain.cancelAndHoldAtTime(this.context.now());
+        this.output.gain.rampTo(0, LiveInput.FADE_TIME);
+        setTimeout(() => {
+            if (node.state === 'started') node.stop();
+            if (node.close) node.close();
+            node.dispose();
+        }, LiveInput.FADE_TIME * 1000 + 50);
+    }
+
+    isOpen() {
+        return this.source !== null;
+    }
+
+    /**
+     * @param {number} level - 0–1
+     */
+    setLevel(level) {
+        if (typeof level !== 'number' || !isFinite(level)) return;
+        this.settings.level = Math.max(0, Math.min(1, level));
+        if (this.source) this.output.gain.rampTo(this.settings.level, 0.05);
+    }
+
+    /**
+     * @param {string} mode - 'auto' follows the input's key, 'confirm' waits for acceptKey(),
+     *   'off' only listens
+     */
+    setKeyMode(mode) {
+        if (!LiveInput.KEY_MODES.includes(mode)) {
+            console.warn(`Unknown key mode: ${mode}`);
+            return;
+        }
+        this.settings.keyMode = mode;
+        if (mode !== 'confirm') this.pendingKey = null;
+    }
+
+    /**
+     * Move the drone to the detected key offered in confirm mode
+     * @returns {string|null} The key, or null if none is waiting
+     */
+    acceptKey() {
+        const estimate = this.pendingKey;
+        if (!estimate) return null;
+        this.pendingKey = null;
+        this.engine.setKey(estimate.key);
+        return estimate.key;
+    }
+
+    getState() {
+        return {
+            source: this.source ? { type: this.source.type, name: this.source.name } : null,
+            ...this.settings,
+            detectedKey: this.detector.getKey(),
+            pendingKey: this.pendingKey ? this.pendingKey.key : null
+        };
+    }
+
+    dispose() {
+        clearInterval(this.analysisTimer);
+        if (this.source) {
+            if (this.source.node.close) this.source.node.close();
+            this.source.node.dispose();
+            this.source = null;
+        }
+        [this.analyser, this.input, this.output].forEach(node => node && node.dispose());
+        this.input = null;
+    }
+
+    _setSource(source) {
+        if (!this.input) {
+            source.node.dispose();
+            throw new Error('Audio engine is not running');
+        }
+        this.close();
+        this.source = source;
+        source.node.connect(this.input);
+        this.detector.reset();
+
+        this.output.gain.cancelAndHoldAtTime(this.context.now());
+        this.output.gain.rampTo(this.settings.level, LiveInput.FADE_TIME);
+        this.analysisTimer = setInterval(() => this._analyse(), LiveInput.ANALYSIS_INTERVAL);
+    }
+
+    _analyse() {
+        if (this.settings.keyMode === 'off') return;
+        const estimate = this.detector.process(this.analyser.getValue(), this.context.sampleRate, {
+            referencePitch: this.engine.tuning.referencePitch
+        });
+        if (!estimate || estimate.key === this.engine.getCurrentKey()) return;
+
+        const applied = this.settings.keyMode === 'auto';
+        if (applied) {
+            this.engine.setKey(estimate.key);
+        } else {
+            this.pendingKey = estimate;
+        }
+        debugLog(`Input key: ${estimate.key} (${estimate.confidence.toFixed(2)})`);
+        if (this.onKey) this.onKey(estimate, applied);
+    }
+}
@@ -68,6 +68,17 @@ function debugLog(...args) {
 let asciiRenderer = null;
 let detector = null;
 let audioEngine = null;
+let audioLifecycle = null;
+let audioRecorder = null;
+let recordTimer = null;
+const gestureRecorder = new GestureRecorder();
+let gesturePlayer = null;
+let lastGestureRecording = null;  // Last recorded or loaded, for offline bounces
+const modMatrix = new ModulationMatrix();  // Gesture → sound/visual mappings
+const presets = new PresetLibrary();
+let sceneManager = null;
+let progression = null;  // ProgressionSequencer (N / pinch tap advances, Q runs it on the clock)
+const visualState = { saturation: 0, drift: 0, density: 0 };  // Last renderer values, 0–1 (for scenes)
 let keyOverlay = null;
 let overlayMesh = null;  // Three.js mesh for overlay compositing
 
@@ -76,15 +87,7 @@ let currentKey = 'C';
 let hoveredKey = null;
 let wasPinching = false;
 let wasPinchingHand = null;
-let currentVolume = 0.5;
-
-// Validate rotation value, defaulting to 0 if invalid
-function validateRotation(value) {
-    if (typeof value !== 'number' || isNaN(value) || !isFinite(value)) {
-        return 0;
-    }
-    return value;
-}
+let pinchStart = null;  // { time, position, travel } of the current pinch, for tap detection
 
 function updateVolumeBar(volume, active) {
     const container = document.getElementById('volume-bar-container');
@@ -94,10 +97,778 @@ function updateVolumeBar(volume, active) {
     container.classList.toggle('active', active);
 }
 
+// Apply tuning from URL parameters, e.g. ?tuning=just&a4=432 or ?scl=tunings/werckmeister.scl
+async function applyTuningParams(engine) {
+    const params = new URLSearchParams(window.location.search);
+
+    const referencePitch = parseFloat(params.get('a4'));
+    if (!isNaN(referencePitch)) {
+        engine.setReferencePitch(referencePitch);
+    }
+
+    try {
+        if (params.get('scl')) {
+            await engine.loadTuningFile(params.get('scl'));
+        }
+        if (params.get('kbm')) {
+            await engine.loadTuningFile(params.get('kbm'));
+        }
+    } catch (err) {
+        addLog(`Tuning load failed: ${err.message}`, 'error');
+    }
+
+    if (params.get('tuning')) {
+        engine.setTuning(params.get('tuning'));
+    }
+    addLog(`Tuning: ${engine.tuning.getLabel()}`, 'info');
+}
+
+// Audio status indicator, shown whenever audio isn't running
+const AUDIO_STATUS_TEXT = {
+    hidden: 'AUDIO PAUSED',
+    interrupted: 'AUDIO INTERRUPTED',
+    suspended: 'TAP TO RESUME AUDIO',
+    paused: 'OUTPUT CHANGED · TAP TO RESUME',
+    resuming: 'RESUMING AUDIO...'
+};
+
+function updateAudioStatus({ state, reason }) {
+    const indicator = document.getElementById('audio-status');
+    if (!indicator) return;
+    const text = AUDIO_STATUS_TEXT[state];
+    indicator.textContent = text || '';
+    indicator.style.display = text ? 'block' : 'none';
+    addLog(`Audio ${state} (${reason})`, state === 'running' ? 'success' : 'info');
+}
+
+// Load impulse responses from URL parameters, e.g. ?ir=cathedral.wav&ir2=plate.wav
+// (bare names are read from the impulses/ folder); &irMorph=1 lets the width hand morph
+// between the two slots. Needs a running audio engine.
+async function applyImpulseParams(engine) {
+    const params = new URLSearchParams(window.location.search);
+    try {
+        if (params.get('ir')) {
+            await engine.loadImpulseResponse(params.get('ir'), { slot: 'a' });
+        }
+        if (params.get('ir2')) {
+            await engine.loadImpulseResponse(params.get('ir2'), { slot: 'b' });
+        }
+        const morph = params.get('irMorph') === '1';
+        if (morph) {
+            modMatrix.addRoute({ id: 'irMorph', source: 'rightRotation', target: 'effect.reverb.morph', smoothing: 0.1 });
+        }
+        if (params.get('ir')) {
+            addLog(`Convolution reverb ready${morph ? ' (left hand width morphs IRs)' : ''}`, 'info');
+        }
+    } catch (err) {
+        addLog(`Impulse response load failed: ${err.message}`, 'error');
+    }
+}
+
+// Rhythmic layer from URL parameters, e.g. ?bpm=96&pulse=8n&shape=tremolo&arp=16n&lfo=2n
+// (pulse, arp or lfo switch the layer on). Applied before init; the loops start with the audio.
+function applyRhythmParams(engine) {
+    const params = new URLSearchParams(window.location.search);
+    const rhythm = engine.rhythm;
+    const number = (name) => parseFloat(params.get(name));
+
+    if (number('bpm') > 0) rhythm.setTempo(number('bpm'));
+    if (params.get('pulse')) {
+        rhythm.setGate({ division: params.get('pulse'), shape: params.get('shape'), depth: number('depth') });
+    } else if (params.get('arp') || params.get('lfo')) {
+        rhythm.setGate({ depth: 0 });
+    }
+    if (params.get('arp')) {
+        const level = number('arpLevel');
+        rhythm.setArp({ division: params.get('arp'), pattern: params.get('pattern'), level: isNaN(level) ? 0.6 : level });
+    }
+    if (params.get('lfo')) {
+        rhythm.setLfoSync(params.get('lfo'));
+    }
+    if (params.get('pulse') || params.get('arp') || params.get('lfo')) {
+        rhythm.setEnabled(true);
+    }
+}
+
+// Theremin lead from URL parameters, e.g. ?lead=chord&leadHand=right&leadType=sawtooth&octaves=3
+function applyLeadParams(engine) {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('lead')) return;
+    engine.lead.configure({
+        mode: params.get('lead'),
+        hand: params.get('leadHand'),
+        type: params.get('leadType'),
+        octaves: parseFloat(params.get('octaves'))
+    });
+    engine.lead.setEnabled(true);
+}
+
+// V: lead on/off, Shift+V: next pitch mode (continuous → scale → chord)
+function toggleLead(nextMode) {
+    const lead = audioEngine.lead;
+    if (nextMode) {
+        const modes = LeadVoice.MODES;
+        const mode = modes[(modes.indexOf(lead.settings.mode) + 1) % modes.length];
+        lead.configure({ mode });
+        addLog(`Lead pitch: ${mode}`, 'info');
+        return;
+    }
+    lead.setEnabled(!lead.enabled);
+    addLog(lead.enabled ? `Lead on (${lead.settings.mode}, ${lead.settings.hand} hand height)` : 'Lead off', 'info');
+}
+
+// The lead follows its hand's smoothed palm height (features.<hand>.y), and is silent while
+// that hand pinches or is out of view
+function updateLead(results, pinchingHand) {
+    if (!audioEngine || !audioEngine.lead.enabled) return;
+    const lead = audioEngine.lead;
+    const height = pinchingHand === lead.settings.hand ? null : LeadVoice.handHeight(results, lead.settings.hand);
+    if (height === null) {
+        lead.release();
+    } else {
+        lead.play(height);
+    }
+}
+
+// Vowel formant level from URL parameters, e.g. ?vowel=0.4 (the formant is silent by default;
+// needs the running engine and a chain with a 'formant' unit)
+function applyVowelParams(engine) {
+    const mix = parseFloat(new URLSearchParams(window.location.search).get('vowel'));
+    if (isNaN(mix)) return;
+    if (!engine.effects.setMix('formant', mix)) {
+        addLog('This preset has no formant unit for vowels', 'info');
+    }
+}
+
+// Pedal tone from URL parameters, e.g. ?pedal=sub or ?pedal=D2&pedalHold=1&pedalLevel=0.8
+function applyPedalParams(engine) {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('pedal')) return;
+    const level = parseFloat(params.get('pedalLevel'));
+    engine.pedal.configure({
+        note: params.get('pedal'),
+        follow: params.get('pedalHold') !== '1',
+        level: isNaN(level) ? undefined : level
+    });
+    engine.pedal.setEnabled(true);
+}
+
+// H: pedal on/off, Shift+H: hold the pedal where it is / follow the key again
+function togglePedal(toggleHold) {
+    const pedal = audioEngine.pedal;
+    if (toggleHold) {
+        pedal.configure({ follow: !pedal.settings.follow });
+        addLog(pedal.settings.follow ? 'Pedal follows the key' : `Pedal held on ${pedal.getNoteName()}`, 'info');
+        return;
+    }
+    pedal.setEnabled(!pedal.enabled);
+    addLog(pedal.enabled ? `Pedal on (${pedal.getNoteName()}, ${pedal.settings.follow ? 'following' : 'held'})` : 'Pedal off', 'info');
+}
+
+// Gesture smoothing from URL parameters: ?smoothing=kalman|spring|oneEuro|off&predict=50 (ms)
+function applySmoothingParams(handDetector) {
+    const params = new URLSearchParams(window.location.search);
+    const settings = {};
+    if (params.get('smoothing')) settings.type = params.get('smoothing');
+    const predict = parseFloat(params.get('predict'));
+    if (!isNaN(predict)) settings.predict = predict / 1000;
+    if (Object.keys(settings).length === 0) return;
+    handDetector.smoother.configure(settings);
+    addLog(`Gesture smoothing: ${handDetector.smoother.getSettings('leftRotation').type}`, 'info');
+}
+
+// Live input from URL parameters: ?input=mic, or an audio file standing in for a musician,
+// e.g. ?input=audio/guitar.mp3&inputKey=auto&inputLevel=0.6 (needs the running engine)
+async function applyInputParams(engine) {
+    const params = new URLSearchParams(window.location.search);
+    const input = engine.liveInput;
+    input.onKey = showDetectedKey;
+    if (params.get('inputKey')) input.setKeyMode(params.get('inputKey'));
+    input.setLevel(parseFloat(params.get('inputLevel')));
+    if (!params.get('input')) return;
+    await openLiveInput(params.get('input') === 'mic' ? null : params.get('input'));
+}
+
+// Open the mic (source null) or an audio file / URL as the live input
+async function openLiveInput(source) {
+    const input = audioEngine.liveInput;
+    try {
+        const name = source ? await input.openFile(source) : await input.openMic();
+        addLog(`Input: ${name} (key ${input.settings.keyMode})`, 'success');
+    } catch (err) {
+        addLog(`Input failed: ${err.message}`, 'error');
+    }
+}
+
+// A: mic on / input off, Shift+A: pick an audio file as the input
+function toggleLiveInput(pickFile) {
+    const input = audioEngine.liveInput;
+    if (pickFile) {
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = 'audio/*';
+        picker.addEventListener('change', () => picker.files[0] && openLiveInput(picker.files[0]));
+        picker.click();
+        return;
+    }
+    if (input.isOpen()) {
+        input.close();
+        addLog('Input off', 'info');
+    } else {
+        openLiveInput(null);
+    }
+}
+
+// A key detected in the live input: already applied (auto) or offered on the overlay (confirm)
+function showDetectedKey(estimate, applied) {
+    if (applied) {
+        showCurrentKey(estimate.key);
+        addLog(`Following the input: ${estimate.key}`, 'info');
+        return;
+    }
+    if (keyOverlay) keyOverlay.setNextKey(estimate.key);
+    addLog(`Input sounds like ${estimate.key} (K to follow)`, 'info');
+}
+
+// K: move to the detected key, Shift+K: next key mode (auto → confirm → off)
+function acceptDetectedKey(nextMode) {
+    const input = audioEngine.liveInput;
+    if (nextMode) {
+        const modes = LiveInput.KEY_MODES;
+        const mode = modes[(modes.indexOf(input.settings.keyMode) + 1) % modes.length];
+        input.setKeyMode(mode);
+        addLog(`Input key: ${mode}`, 'info');
+        return;
+    }
+    const key = input.acceptKey();
+    if (!key) {
+        addLog(input.isOpen() ? 'No new key detected yet' : 'No input (A opens the mic)', 'info');
+        return;
+    }
+    showCurrentKey(key);
+    if (progression && progression.hasSteps()) {
+        showProgressionStep();
+    } else if (keyOverlay) {
+        keyOverlay.setNextKey(null);
+    }
+}
+
+// T: tap tempo
+function tapTempo() {
+    const bpm = audioEngine.rhythm.tap();
+    if (bpm !== null) {
+        addLog(`Tempo ${Math.round(bpm)} BPM`, 'info');
+    }
+}
+
+// Shift+T: rhythmic layer on/off
+function toggleRhythm() {
+    const rhythm = audioEngine.rhythm;
+    rhythm.setEnabled(!rhythm.enabled);
+    addLog(rhythm.enabled ? `Rhythm on (${Math.round(rhythm.bpm)} BPM)` : 'Rhythm off', 'info');
+}
+
+async function loadImpulseFiles(files) {
+    if (!audioEngine.isInitialized) {
+        addLog('Start audio before loading impulse responses', 'info');
+        return;
+    }
+    // Two files fill both slots for morphing; a single file switches to it
+    const slots = files.length > 1 ? ['a', 'b'] : [undefined];
+    for (let i = 0; i < slots.length; i++) {
+        try {
+            const name = await audioEngine.loadImpulseResponse(files[i], { slot: slots[i] });
+            addLog(`Impulse response loaded: ${name}`, 'success');
+        } catch (err) {
+            addLog(`Failed to load ${files[i].name}: ${err.message}`, 'error');
+        }
+    }
+}
+
+// File picker for impulse responses
+function openImpulsePicker() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = ConvolutionReverb.FILE_EXTENSIONS.join(',');
+    input.multiple = true;
+    input.addEventListener('change', () => loadImpulseFiles([...input.files]));
+    input.click();
+}
+
+// Show a key chosen outside the overlay (presets) on the overlay and indicator
+function showCurrentKey(key) {
+    currentKey = key;
+    if (keyOverlay) {
+        keyOverlay.setCurrentKey(key);
+    }
+    const keyIndicator = document.getElementById('key-indicator');
+    if (keyIndicator) {
+        keyIndicator.textContent = key;
+    }
+}
+
+async function switchPreset(name) {
+    const preset = presets.get(name);
+    if (!preset) {
+        addLog(`Unknown preset: ${name}`, 'error');
+        return;
+    }
+    try {
+        await audioEngine.applyPreset(preset);
+        showCurrentKey(audioEngine.getCurrentKey());
+        addLog(`Preset: ${preset.name}`, 'success');
+    } catch (err) {
+        addLog(`Preset failed: ${err.message}`, 'error');
+    }
+}
+
+// [ / ]: previous / next preset
+function stepPreset(step) {
+    switchPreset(presets.neighbour(audioEngine.presetName, step));
+}
+
+// S: save the current sound as a user preset
+function savePreset() {
+    const name = window.prompt('Preset name', audioEngine.presetName || '');
+    if (!name || !name.trim()) return;
+    if (presets.isFactory(name.trim())) {
+        addLog(`"${name.trim()}" is a factory preset, pick another name`, 'error');
+        return;
+    }
+    const preset = audioEngine.getPreset(name);
+    if (presets.save(preset)) {
+        audioEngine.presetName = preset.name;
+        addLog(`Preset saved: ${preset.name}`, 'success');
+    } else {
+        addLog('Preset could not be saved (storage unavailable)', 'error');
+    }
+}
+
+// E: download the current sound as a preset file
+function exportPreset() {
+    const { json, filename } = PresetLibrary.toFile(audioEngine.getPreset());
+    AudioRecorder.download(new Blob([json], { type: 'application/json' }), filename);
+    addLog(`Saved ${filename}`, 'success');
+}
+
+// Replace the progression from a parsed JSON file, a JSON URL or a list like 'C,Am,F,G'
+async function loadProgression(source) {
+    let data = source;
+    if (typeof source === 'string' && source.trim().endsWith('.json')) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to load progression: ${source} - ${response.status}`);
+        }
+        data = await response.json();
+    }
+    progression.load(data);
+    addLog(`Progression loaded: ${progression.steps.map(step => step.label).join(' → ')}`, 'success');
+    showProgressionStep();
+
+    // Timed progressions run as soon as there is sound (see startAudio)
+    if (progression.mode === 'time' && audioEngine.isInitialized) {
+        progression.start();
+    }
+}
+
+// Current and next step on the key indicator and overlay
+function showProgressionStep() {
+    const step = progression.getCurrentStep();
+    const next = progression.getNextStep();
+    if (step) {
+        showCurrentKey(ChordLibrary.keyName(step.root, step.quality));
+    }
+    if (keyOverlay) {
+        keyOverlay.setNextKey(next ? ChordLibrary.keyName(next.root, next.quality) : null);
+    }
+    const keyIndicator = document.getElementById('key-indicator');
+    if (keyIndicator) {
+        const label = step ? step.label : currentKey;
+        keyIndicator.textContent = next ? `${label} › ${next.label}` : label;
+    }
+}
+
+// N / Shift+N, or a left-hand pinch tap: step through the progression
+function stepProgression(step) {
+    if (!progression || !progression.hasSteps()) return;
+    const moved = step > 0 ? progression.advance() : progression.previous();
+    if (!moved) {
+        addLog('Progression finished', 'info');
+    }
+}
+
+// Q: run / stop the progression on the clock
+function toggleProgression() {
+    if (!progression || !progression.hasSteps()) {
+        addLog('No progression loaded (?progression=C,Am,F,G or drop a JSON file)', 'info');
+        return;
+    }
+    if (progression.isRunning) {
+        progression.stop();
+        addLog('Progression stopped', 'info');
+    } else {
+        progression.start();
+        const length = progression.stepLength;
+        addLog(`Progression running (${length.bars ? `${length.bars} bars` : `${length.seconds}s`} per step)`, 'info');
+    }
+}
+
+// Renderer saturation/drift/density from 0–1 (saturation and drift take rotations in degrees)
+function setVisual(name, value) {
+    visualState[name] = value;
+    if (!asciiRenderer) return;
+    if (name === 'saturation') {
+        asciiRenderer.setSaturation(value * 90);
+    } else if (name === 'drift') {
+        asciiRenderer.setDrift(value * 90);
+    } else {
+        asciiRenderer.setDensity(value);
+    }
+}
+
+// 1–9, 0: morph to the scene in that slot; Shift+digit stores the current state there
+function handleSceneKey(slot, store) {
+    if (!sceneManager) return;
+    if (store) {
+        sceneManager.store(slot);
+        addLog(`Scene ${slot} stored`, 'success');
+    } else if (sceneManager.recall(slot)) {
+        addLog(`Morphing to scene ${slot} (${sceneManager.morphTime}s)`, 'info');
+    } else {
+        addLog(`Scene ${slot} is empty (Shift+${slot} stores it)`, 'info');
+    }
+}
+
+// X: download all scenes as JSON
+function exportScenes() {
+    if (!sceneManager) return;
+    const json = JSON.stringify(sceneManager.toJSON(), null, 2);
+    const filename = `scenes-${GestureRecorder.timestamp(new Date())}.json`;
+    AudioRecorder.download(new Blob([json], { type: 'application/json' }), filename);
+    addLog(`Saved ${filename}`, 'success');
+}
+
+// Modulation targets: engine macros, rhythm, renderer, scenes and 'effect.<unit id>.<param | mix>'
+function registerModulationTargets() {
+    modMatrix.registerTarget('audio.intensity', v => audioEngine && audioEngine.setIntensity(v));
+    modMatrix.registerTarget('audio.width', v => audioEngine && audioEngine.setWidth(v));
+    modMatrix.registerTarget('audio.volume', v => audioEngine && audioEngine.setVolume(v));
+    modMatrix.registerTarget('audio.glide', v => audioEngine && audioEngine.setGlide({ time: v * 2 }));
+    // Pulse depth and arp level fade the rhythmic layer in and out (it must be on: Shift+T)
+    modMatrix.registerTarget('rhythm.pulse', v => audioEngine && audioEngine.rhythm.setGate({ depth: v }));
+    modMatrix.registerTarget('rhythm.arp', v => audioEngine && audioEngine.rhythm.setArp({ level: v }));
+    modMatrix.registerTarget('lead.level', v => audioEngine && audioEngine.lead.configure({ level: v }));
+    modMatrix.registerTarget('lead.vibrato', v => audioEngine && audioEngine.lead.configure({
+        vibrato: { depth: v * LeadVoice.MAX_VIBRATO }
+    }));
+    modMatrix.registerTarget('pedal.level', v => audioEngine && audioEngine.pedal.configure({ level: v }));
+    modMatrix.registerTarget('pedal.cutoff', v => audioEngine && audioEngine.pedal.configure({ cutoff: 40 * Math.pow(20, v) }));
+    modMatrix.registerTarget('pedal.duck', v => audioEngine && audioEngine.pedal.configure({ duck: v }));
+    modMatrix.registerTarget('input.level', v => audioEngine && audioEngine.liveInput.setLevel(v));
+    modMatrix.registerTarget('rhythm.tempo', v => audioEngine && audioEngine.rhythm.setTempo(
+        RhythmSection.MIN_BPM + v * (RhythmSection.MAX_BPM - RhythmSection.MIN_BPM), 0.1
+    ));
+    modMatrix.registerTarget('visual.saturation', v => setVisual('saturation', v));
+    modMatrix.registerTarget('visual.drift', v => setVisual('drift', v));
+    modMatrix.registerTarget('visual.density', v => setVisual('density', v));
+    // Position along the stored scenes (see SceneManager.setPosition)
+    modMatrix.registerTarget('scene.position', v => sceneManager && sceneManager.setPosition(v));
+    modMatrix.registerTargetResolver('effect.', (name) => {
+        const [, id, param] = name.split('.');
+        if (!id || !param) return null;
+        // Reverb decay and preDelay rebuild the impulse response: set them from a preset or scene instead
+        if (audioEngine && audioEngine.effects && !audioEngine.effects.isContinuous(id, param)) return null;
+        return (v) => {
+            if (!audioEngine || !audioEngine.effects) return;
+            if (param === 'mix') {
+                audioEngine.effects.setMix(id, v, 0.1);
+            } else {
+                audioEngine.effects.setParamNormalized(id, param, v, 0.1);
+            }
+        };
+    });
+}
+
+// Replace the mapping from a parsed JSON file / URL (one mapping per piece)
+async function loadMapping(source) {
+    let data = source;
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to load mapping: ${source} - ${response.status}`);
+        }
+        data = await response.json();
+    }
+    modMatrix.load(data);
+    addLog(`Mapping loaded (${modMatrix.routes.length} routes)`, 'success');
+}
+
+// M: download the current mapping as JSON
+function saveMapping() {
+    const json = JSON.stringify(modMatrix.toJSON(), null, 2);
+    const filename = `mapping-${GestureRecorder.timestamp(new Date())}.json`;
+    AudioRecorder.download(new Blob([json], { type: 'application/json' }), filename);
+    addLog(`Saved ${filename}`, 'success');
+}
+
+// Every results object (live or replayed) goes through here
+function dispatchHandResults(results) {
+    onHandResults(results);
+    gestureRecorder.capture(results, audioEngine ? audioEngine.getPerformanceState() : null);
+}
+
+// Live camera frames are ignored while a recording is being replayed
+function handleLiveHandResults(results) {
+    if (gesturePlayer && gesturePlayer.isPlaying) return;
+    dispatchHandResults(results);
+}
+
+// G: start/stop gesture recording (Shift+G includes raw landmarks)
+function toggleGestureRecording(includeLandmarks) {
+    if (!gestureRecorder.recording) {
+        gestureRecorder.start({ includeLandmarks });
+        addLog(`Gesture recording started${includeLandmarks ? ' (with landmarks)' : ''}`, 'info');
+        return;
+    }
+    const { recording, json, filename } = gestureRecorder.stop();
+    lastGestureRecording = recording;
+    AudioRecorder.download(new Blob([json], { type: 'application/json' }), filename);
+    addLog(`Saved ${filename} (${recording.frames.length} frames)`, 'success');
+}
+
+async function playGestures(source, options = {}) {
+    if (!gesturePlayer) {
+        gesturePlayer = new GesturePlayer(dispatchHandResults);
+        gesturePlayer.onEnded = () => addLog('Gesture playback finished', 'info');
+    }
+    try {
+        const recording = await gesturePlayer.load(source);
+        lastGestureRecording = recording;
+        gesturePlayer.play({ loop: true, ...options });
+        addLog(`Replaying gestures (${(recording.duration / 1000).toFixed(1)}s, ${gesturePlayer.speed}x)`, 'success');
+    } catch (err) {
+        addLog(`Gesture playback failed: ${err.message}`, 'error');
+    }
+}
+
+// L: pick a gesture recording to replay, or stop the current replay
+function toggleGesturePlayback() {
+    if (gesturePlayer && gesturePlayer.isPlaying) {
+        gesturePlayer.stop();
+        addLog('Gesture playback stopped', 'info');
+        return;
+    }
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        if (input.files[0]) playGestures(input.files[0]);
+    });
+    input.click();
+}
+
+function changePlaybackSpeed(delta) {
+    if (!gesturePlayer) return;
+    gesturePlayer.setSpeed(gesturePlayer.speed + delta);
+    addLog(`Playback speed ${gesturePlayer.speed}x`, 'info');
+}
+
+// B: render the last gesture recording offline with the current sound and download a WAV
+async function bounceGestures() {
+    if (!lastGestureRecording) {
+        addLog('Record (G) or load (L) a gesture recording to bounce', 'info');
+        return;
+    }
+    try {
+        const timeline = OfflineRenderer.timelineFromRecording(lastGestureRecording);
+        addLog(`Bouncing ${timeline.duration.toFixed(1)}s of gestures...`, 'info');
+        const blob = await OfflineRenderer.renderWav(timeline, {
+            preset: audioEngine.getPreset(),
+            tuning: audioEngine.tuning
+        });
+        const filename = `drone-bounce-${GestureRecorder.timestamp(new Date())}.wav`;
+        AudioRecorder.download(blob, filename);
+        addLog(`Saved ${filename}`, 'success');
+    } catch (err) {
+        addLog(`Bounce failed: ${err.message}`, 'error');
+    }
+}
+
+// Load dropped files by extension (Scala tunings, impulse responses, gesture recordings)
+async function handleFileDrop(event) {
+    event.preventDefault();
+    if (!audioEngine) return;
+
+    const impulses = [];
+    for (const file of event.dataTransfer.files) {
+        const name = file.name.toLowerCase();
+        try {
+            if (name.endsWith('.scl') || name.endsWith('.kbm')) {
+                await audioEngine.loadTuningFile(file);
+                addLog(`Tuning loaded: ${audioEngine.tuning.getLabel()}`, 'success');
+            } else if (name.endsWith('.json')) {
+                // Mappings and gesture recordings are both JSON; tell them apart by format
+                const data = JSON.parse(await file.text());
+                if (ModulationMatrix.isMapping(data)) {
+                    await loadMapping(data);
+                } else if (ProgressionSequencer.isProgression(data)) {
+                    await loadProgression(data);
+                } else if (SceneManager.isSceneSet(data)) {
+                    sceneManager.load(data);
+                    addLog(`Scenes loaded (${sceneManager.getStoredSlots().length})`, 'success');
+                } else if (PresetLibrary.isPreset(data)) {
+                    const name = await presets.importPreset(data);
+                    await switchPreset(name);
+                } else {
+                    await playGestures(data);
+                }
+            } else if (ConvolutionReverb.isImpulseFile(name)) {
+                impulses.push(file);
+            }
+        } catch (err) {
+            addLog(`Failed to load ${file.name}: ${err.message}`, 'error');
+        }
+    }
+    if (impulses.length > 0) {
+        await loadImpulseFiles(impulses);
+    }
+}
+
+// Recording indicator: ARMED, REC m:ss or PAUSED
+function updateRecordIndicator() {
+    const indicator = document.getElementById('rec-indicator');
+    if (!indicator || !audioRecorder) return;
+
+    const state = audioRecorder.state;
+    const seconds = Math.floor(audioRecorder.getDuration());
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    const text = {
+        armed: 'REC ARMED',
+        recording: `● REC ${time}`,
+        paused: `❚❚ REC ${time}`
+    }[state];
+
+    indicator.textContent = text || '';
+    indicator.style.display = text ? 'block' : 'none';
+    indicator.classList.toggle('recording', state === 'recording');
+}
+
+// R: arm → (next gesture starts) → stop and download; pressing R while armed disarms
+async function toggleRecording() {
+    if (!audioRecorder) {
+        addLog('Start audio before recording', 'info');
+        return;
+    }
+    try {
+        if (audioRecorder.state === AudioRecorder.STATE.IDLE) {
+            audioRecorder.arm();
+            addLog('Recording armed — starts with the next gesture', 'info');
+        } else {
+            const files = await audioRecorder.stop();
+            files.forEach(file => addLog(`Saved ${file.filename}`, 'success'));
+        }
+    } catch (err) {
+        addLog(`Recording failed: ${err.message}`, 'error');
+    }
+}
+
+// Keyboard shortcuts (ignored while typing in inputs)
+function handleShortcut(event) {
+    if (event.target.tagName === 'INPUT' || event.metaKey || event.ctrlKey || event.altKey) return;
+    if (!audioEngine) return;
+
+    // Scene slots by physical key, so Shift+digit works on every layout
+    const digit = /^Digit(\d)$/.exec(event.code);
+    if (digit) {
+        handleSceneKey(Number(digit[1]), event.shiftKey);
+        return;
+    }
+
+    switch (event.key.toLowerCase()) {
+        case 'i':
+            openImpulsePicker();
+            break;
+        case 'r':
+            toggleRecording();
+            break;
+        case 'p':
+            if (audioRecorder) audioRecorder.togglePause();
+            break;
+        case 'g':
+            toggleGestureRecording(event.shiftKey);
+            break;
+        case 'l':
+            toggleGesturePlayback();
+            break;
+        case 'b':
+            bounceGestures();
+            break;
+        case 'm':
+            saveMapping();
+            break;
+        case '[':
+            stepPreset(-1);
+            break;
+        case ']':
+            stepPreset(1);
+            break;
+        case 's':
+            savePreset();
+            break;
+        case 'e':
+            exportPreset();
+            break;
+        case 'x':
+            exportScenes();
+            break;
+        case 'n':
+            stepProgression(event.shiftKey ? -1 : 1);
+            break;
+        case 'q':
+            toggleProgression();
+            break;
+        case 'v':
+            toggleLead(event.shiftKey);
+            break;
+        case 'h':
+            togglePedal(event.shiftKey);
+            break;
+        case 'a':
+            toggleLiveInput(event.shiftKey);
+            break;
+        case 'k':
+            acceptDetectedKey(event.shiftKey);
+            break;
+        case 't':
+            if (event.shiftKey) {
+                toggleRhythm();
+            } else {
+                tapTempo();
+            }
+            break;
+        case '-':
+            changePlaybackSpeed(-0.25);
+            break;
+        case '=':
+        case '+':
+            changePlaybackSpeed(0.25);
+            break;
+    }
+}
+
 // Hand results callback
 function onHandResults(results) {
-    const leftRotation = validateRotation(results.leftRotation);
-    const rightRotation = validateRotation(results.rightRotation);
+    // An armed recording starts as soon as the performer's hands are in view
+    if (audioRecorder && audioRecorder.state === AudioRecorder.STATE.ARMED && results.handsDetected > 0) {
+        audioRecorder.trigger().catch(err => addLog(`Recording failed: ${err.message}`, 'error'));
+    }
+
+    // Rotations, pinch position, hand count, poses and features → engine, renderer and effect
+    // params (held while a timed scene morph runs, so the morph isn't fought frame by frame).
+    // The audio sources are updated from the render loop instead (see animate).
+    if (!sceneManager || !sceneManager.isMorphing()) {
+        modMatrix.process(results, performance.now(), { sources: name => !ModulationMatrix.isAudioSource(name) });
+    }
 
     const isPinching = results.pinch && results.pinch.active;
     const pinchHand = results.pinch ? results.pinch.hand : null;
@@ -107,6 +878,7 @@ function onHandResults(results) {
         // (MediaPipe can flip left/right labels for a frame; we ignore those mid-pinch flips)
         if (!wasPinching) {
             wasPinchingHand = pinchHand;
+            pinchStart = { time: performance.now(), position: results.pinch.position, travel: 0 };
         }
 
         if (wasPinchingHand === 'left') {
@@ -115,38 +887,40 @@ function onHandResults(results) {
                 x: 1 - results.pinch.position.x,
                 y: results.pinch.position.y
             };
+            pinchStart.travel = Math.max(pinchStart.travel, Math.hypot(
+                results.pinch.position.x - pinchStart.position.x,
+                results.pinch.position.y - pinchStart.position.y
+            ));
             if (keyOverlay) {
                 keyOverlay.show();
                 keyOverlay.setPinchPosition(flippedPosition);
                 hoveredKey = keyOverlay.getKeyAtPosition(flippedPosition);
                 keyOverlay.setHoveredKey(hoveredKey);
             }
-        } else if (wasPinchingHand === 'right') {
-            // Volume control: y-position maps to volume
-            const normalizedY = Math.max(0.1, Math.min(0.9, results.pinch.position.y));
-            const volume = 1 - ((normalizedY - 0.1) / 0.8);
-            currentVolume = volume;
-            if (audioEngine) {
-                audioEngine.setVolume(volume);
-            }
-            updateVolumeBar(volume, true);
+        } else if (wasPinchingHand === 'right' && audioEngine) {
+            // Volume follows the right-hand pinch (see the rightPinchY route)
+            updateVolumeBar(audioEngine.lastValidVolume, true);
         }
     } else {
-        // Pinch just released
+        // Pinch just released — a quick, still tap advances the progression instead
+        const tapped = wasPinching && pinchStart && progression && progression.hasSteps() &&
+            performance.now() - pinchStart.time <= ProgressionSequencer.TAP_TIME &&
+            pinchStart.travel <= ProgressionSequencer.TAP_DISTANCE;
+
         if (wasPinching && wasPinchingHand === 'left') {
-            if (hoveredKey && hoveredKey !== currentKey) {
-                currentKey = hoveredKey;
+            if (tapped) {
+                stepProgression(1);
+                if (keyOverlay) {
+                    keyOverlay.hideWithDelay();
+                }
+            } else if (hoveredKey && hoveredKey !== currentKey) {
                 if (audioEngine) {
-                    audioEngine.setKey(currentKey);
+                    audioEngine.setKey(hoveredKey);
                 }
+                showCurrentKey(hoveredKey);
                 if (keyOverlay) {
-                    keyOverlay.setCurrentKey(currentKey);
                     keyOverlay.hideWithDelay();
                 }
-                const keyIndicator = document.getElementById('key-indicator');
-                if (keyIndicator) {
-                    keyIndicator.textContent = currentKey;
-                }
                 addLog(`Key changed to ${currentKey}`, 'success');
             } else {
                 if (keyOverlay) {
@@ -159,26 +933,24 @@ function onHandResults(results) {
             hoveredKey = null;
         } else if (wasPinching && wasPinchingHand === 'right') {
             // Volume stays locked — just dim the bar
-            updateVolumeBar(currentVolume, false);
+            updateVolumeBar(audioEngine ? audioEngine.lastValidVolume : 0.5, false);
         }
         wasPinchingHand = null;
-
-        // Only update effects when not pinching
-        if (asciiRenderer) {
-            asciiRenderer.setSaturation(leftRotation);
-            asciiRenderer.setDrift(rightRotation);
-        }
-        if (audioEngine) {
-            audioEngine.setIntensity(Math.abs(leftRotation) / 90);
-            audioEngine.setWidth(Math.abs(rightRotation) / 90);
-        }
+        pinchStart = null;
     }
 
+    updateLead(results, isPinching ? wasPinchingHand : null);
+
     wasPinching = isPinching;
 }
 
 // Animation loop for ASCII rendering
 function animate() {
+    // Output analysis → audio-reactive routes, every render frame so short attacks aren't missed
+    if (audioEngine && audioEngine.isInitialized && (!sceneManager || !sceneManager.isMorphing())) {
+        modMatrix.process({ audio: audioEngine.getAnalysis() }, performance.now(), { sources: ModulationMatrix.isAudioSource });
+    }
+
     // Render ASCII layer
     if (asciiRenderer) {
         asciiRenderer.render();
@@ -263,12 +1035,75 @@ window.addEventListener('load', async () => {
         audioEngine = new AudioEngine();
         addLog('Audio engine created', 'info');
 
+        // Scene snapshots (digits recall, Shift+digit stores)
+        sceneManager = new SceneManager(audioEngine, {
+            get: () => ({ ...visualState }),
+            set: (values) => Object.entries(values).forEach(([name, value]) => setVisual(name, value))
+        });
+        sceneManager.onKeyChange = showCurrentKey;
+        const morphTime = parseFloat(new URLSearchParams(window.location.search).get('morph'));
+        if (morphTime > 0) sceneManager.morphTime = morphTime;
+
+        // Harmonic arc: ?progression=C,Am,F,G (pinch taps / N) plus &bars=4 or &seconds=20
+        // to advance on the clock, or ?progression=progressions/arc.json
+        progression = new ProgressionSequencer(audioEngine);
+        progression.onStep = (step) => {
+            showProgressionStep();
+            addLog(`Progression: ${step.label}`, 'success');
+        };
+        progression.onEnded = () => showProgressionStep();
+        const progressionParams = new URLSearchParams(window.location.search);
+        if (progressionParams.get('progression')) {
+            const source = progressionParams.get('progression');
+            const bars = parseFloat(progressionParams.get('bars'));
+            const seconds = parseFloat(progressionParams.get('seconds'));
+            const data = source.endsWith('.json') ? source : {
+                format: ProgressionSequencer.FORMAT,
+                steps: source.split(','),
+                mode: bars > 0 || seconds > 0 ? 'time' : 'gesture',
+                stepLength: bars > 0 ? { bars } : { seconds }
+            };
+            await loadProgression(data).catch(err => addLog(`Progression failed: ${err.message}`, 'error'));
+        }
+
+        // Gesture mappings, optionally per piece: ?mapping=mappings/piece2.json
+        registerModulationTargets();
+        const mappingUrl = new URLSearchParams(window.location.search).get('mapping');
+        if (mappingUrl) {
+            await loadMapping(mappingUrl).catch(err => addLog(`Mapping failed: ${err.message}`, 'error'));
+        }
+
+        // Starting sound: ?preset=Glass (factory or saved preset name)
+        await switchPreset(new URLSearchParams(window.location.search).get('preset') || PresetLibrary.FACTORY[0].name);
+
+        // Key overlay labels follow the engine's tuning
+        keyOverlay.setTuning(audioEngine.tuning);
+        await applyTuningParams(audioEngine);
+        applyRhythmParams(audioEngine);
+        applyLeadParams(audioEngine);
+        applyPedalParams(audioEngine);
+        document.addEventListener('dragover', (event) => event.preventDefault());
+        document.addEventListener('drop', handleFileDrop);
+        document.addEventListener('keydown', handleShortcut);
+
         // Initialize volume bar at default level
         updateVolumeBar(0.5, false);
 
-        // Create hand detector
-        detector = new HandDetector(onHandResults);
-        addLog('Hand detector initialized', 'success');
+        // Replay a recorded performance instead of using the webcam, e.g.
+        // ?replay=performances/set1.json&speed=1.5&loop=0
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('replay')) {
+            const speed = parseFloat(params.get('speed'));
+            await playGestures(params.get('replay'), {
+                speed: isNaN(speed) ? 1 : speed,
+                loop: params.get('loop') !== '0'
+            });
+        } else {
+            // Create hand detector
+            detector = new HandDetector(handleLiveHandResults);
+            applySmoothingParams(detector);
+            addLog('Hand detector initialized', 'success');
+        }
 
         // Start animation loop
         animate();
@@ -288,6 +1123,28 @@ window.addEventListener('load', async () => {
             try {
                 await audioEngine.init();
                 addLog('Audio engine started', 'success');
+                audioEngine.masterBus.on('over', (over) => {
+                    const unit = over.type === 'peak' ? 'dBTP' : 'LUFS';
+                    addLog(`Output over: ${over.type} ${over.value.toFixed(1)} ${unit}`, 'error');
+                });
+                applyImpulseParams(audioEngine);
+                applyInputParams(audioEngine);
+                applyVowelParams(audioEngine);
+
+                // Mute/suspend on tab switches and interruptions, resume with a fade
+                audioLifecycle = new AudioLifecycle(audioEngine);
+                audioLifecycle.on('state', updateAudioStatus);
+                audioLifecycle.start();
+
+                // Rehearsal recorder (R to arm/stop, P to pause)
+                audioRecorder = new AudioRecorder(audioEngine, { formats: ['wav', 'webm'] });
+                audioRecorder.on('state', ({ state }) => {
+                    clearInterval(recordTimer);
+                    if (state === AudioRecorder.STATE.RECORDING) {
+                        recordTimer = setInterval(updateRecordIndicator, 500);
+                    }
+                    updateRecordIndicator();
+                });
                 // Hide startup overlay
                 hideStartupOverlay();
 
@@ -298,6 +1155,12 @@ window.addEventListener('load', async () => {
                     keyIndicator.style.display = 'block';
                 }
 
+                // A timed progression starts with the sound
+                if (progression.hasSteps()) {
+                    showProgressionStep();
+                    if (progression.mode === 'time') progression.start();
+                }
+
                 // Only remove listeners after successful init
                 document.removeEventListener('click', startAudio);
                 document.removeEventListener('keydown', startAudio);
@@ -326,7 +1189,7 @@ window.addEventListener('error', (event) => {
 window.addEventListener('beforeunload', () => {
     if (audioEngine && audioEngine.isInitialized && audioEngine.masterGain) {
         try {
-            const currentTime = Tone.getContext().currentTime;
+            const currentTime = audioEngine.context.currentTime;
             audioEngine.masterGain.gain.exponentialRampToValueAtTime(0.0001, currentTime + 0.03);
         } catch (e) {
             // Silently fail on cleanup errors during unload
@@ -334,14 +1197,3 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
-// Also handle visibility change (mobile background/tab switch)
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden && audioEngine && audioEngine.isInitialized && audioEngine.masterGain) {
-        try {
-            const currentTime = Tone.getContext().currentTime;
-            audioEngine.masterGain.gain.exponentialRampToValueAtTime(0.0001, currentTime + 0.03);
-        } catch (e) {
-            // Silently fail on cleanup errors during visibility change
-        }
-    }
-});
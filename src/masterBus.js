@@ -0,0 +1,257 @@
+// Master Bus - Output dynamics and metering between the master gain and the speakers
+// Compressor → optional soft clipper → lookahead brickwall limiter, with a BS.1770
+// loudness / true-peak meter on the final output (what the PA actually receives).
+
+class MasterBus {
+    static WORKLET_URL = 'src/worklets/masterBusProcessor.js';
+    static WORKLET_NAMES = ['brickwall-limiter', 'loudness-meter'];
+    static LIMITER_LOOKAHEAD = 0.005;  // Seconds of latency the limiter adds
+    static SOFT_CLIP_FADE = 0.05;      // Seconds to crossfade the soft clipper in/out
+    static OVER_LOG_SIZE = 100;        // Over-threshold events kept in overLog
+
+    static DEFAULTS = {
+        // Gentle glue compression; the limiter does the safety work
+        compressor: { threshold: -14, ratio: 2, attack: 0.02, release: 0.3, knee: 6 },
+        ceiling: -1,            // dBTP, limiter ceiling
+        limiterRelease: 0.1,    // Seconds
+        softClip: false,
+        drive: 2,               // Soft clipper drive (tanh)
+        peakThreshold: -0.5,    // dBTP above which an over is logged
+        loudnessThreshold: -14  // Short-term LUFS above which an over is logged
+    };
+
+    /**
+     * @param {Object} [options] - Overrides for MasterBus.DEFAULTS
+     * @param {Tone.BaseContext} [options.context] - Context to build on (defaults to the global one)
+     */
+    constructor({ context = Tone.getContext(), ...options } = {}) {
+        this.context = context;
+        this.options = {
+            ...MasterBus.DEFAULTS,
+            ...options,
+            compressor: { ...MasterBus.DEFAULTS.compressor, ...options.compressor }
+        };
+
+        this.input = null;
+        this.output = null;
+        this.compressor = null;
+        this.clipper = null;       // WaveShaper
+        this.clipDry = null;
+        this.clipWet = null;
+        this.limiter = null;       // AudioWorkletNode
+        this.meter = null;         // AudioWorkletNode
+        this.ceilingParam = null;
+
+        // Latest meter readings (dB / LUFS, -Infinity when silent)
+        this.levels = {
+            momentary: -Infinity,
+            shortTerm: -Infinity,
+            integrated: -Infinity,
+            truePeak: -Infinity,
+            maxTruePeak: -Infinity,
+            reduction: 0          // Limiter gain reduction in dB
+        };
+
+        // Over-threshold events: { time, type: 'peak' | 'loudness', value, threshold }
+        this.overLog = [];
+        this.overActive = { peak: false, loudness: false };
+
+        this.listeners = { levels: [], over: [] };
+    }
+
+    async init() {
+        const context = this.context;
+        await WorkletLoader.load(context, MasterBus.WORKLET_URL, MasterBus.WORKLET_NAMES);
+
+        this.input = new Tone.Gain({ context });
+        this.output = new Tone.Gain({ context });
+
+        this.compressor = new Tone.Compressor({ context, ...this.options.compressor });
+
+        // Soft clipper runs in parallel with a dry path so it can be switched without clicks
+        this.clipper = new Tone.WaveShaper({
+            context,
+            mapping: MasterBus.softClipCurve(this.options.drive),
+            length: 4096
+        });
+        this.clipper.oversample = '4x';
+        this.clipDry = new Tone.Gain({ context, gain: this.options.softClip ? 0 : 1 });
+        this.clipWet = new Tone.Gain({ context, gain: this.options.softClip ? 1 : 0 });
+        const clipSum = new Tone.Gain({ context });
+        this.clipSum = clipSum;
+
+        this.input.connect(this.compressor);
+        this.compressor.connect(this.clipDry);
+        this.compressor.chain(this.clipper, this.clipWet);
+        this.clipDry.connect(clipSum);
+        this.clipWet.connect(clipSum);
+
+        this.limiter = WorkletLoader.createNode(context, 'brickwall-limiter', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit',
+            parameterData: {
+                ceiling: this.options.ceiling,
+                release: this.options.limiterRelease
+            },
+            processorOptions: { lookahead: MasterBus.LIMITER_LOOKAHEAD }
+        });
+        // The processor takes dB as-is; Tone's 'decibels' units would convert to gain first
+        this.ceilingParam = new Tone.Param({ context, param: this.limiter.parameters.get('ceiling'), units: 'number', convert: false });
+        Tone.connect(clipSum, this.limiter);
+        Tone.connect(this.limiter, this.output);
+
+        // Meter has no outputs; it is pulled by the graph as long as it has an input
+        this.meter = WorkletLoader.createNode(context, 'loudness-meter', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        Tone.connect(this.output, this.meter);
+
+        this.limiter.port.onmessage = (event) => {
+            if (event.data.type === 'reduction') this.levels.reduction = event.data.db;
+        };
+        this.meter.port.onmessage = (event) => {
+            if (event.data.type === 'levels') this._onLevels(event.data);
+        };
+    }
+
+    // tanh curve normalised so full scale in gives full scale out
+    static softClipCurve(drive, length = 1024) {
+        const curve = new Float32Array(length);
+        const norm = Math.tanh(drive);
+        for (let i = 0; i < length; i++) {
+            const x = (i / (length - 1)) * 2 - 1;
+            curve[i] = Math.tanh(drive * x) / norm;
+        }
+        return curve;
+    }
+
+    /**
+     * Subscribe to meter updates ('levels', ~10 per second) or over-threshold events ('over')
+     * @returns {Function} Unsubscribe
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            console.warn(`Unknown master bus event: ${event}`);
+            return () => {};
+        }
+        this.listeners[event].push(callback);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        };
+    }
+
+    _emit(event, data) {
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (err) {
+                debugLog(`Master bus ${event} listener failed:`, err);
+            }
+        });
+    }
+
+    _onLevels(data) {
+        Object.assign(this.levels, {
+            momentary: data.momentary,
+            shortTerm: data.shortTerm,
+            integrated: data.integrated,
+            truePeak: data.truePeak,
+            maxTruePeak: data.maxTruePeak
+        });
+
+        this._checkOver('peak', this.levels.truePeak, this.options.peakThreshold);
+        this._checkOver('loudness', this.levels.shortTerm, this.options.loudnessThreshold);
+        this._emit('levels', this.getLevels());
+    }
+
+    // Log once per excursion; re-arm after dropping 1 dB below the threshold
+    _checkOver(type, value, threshold) {
+        if (!this.overActive[type] && value > threshold) {
+            this.overActive[type] = true;
+            const event = { time: Date.now(), type, value, threshold };
+            this.overLog.push(event);
+            if (this.overLog.length > MasterBus.OVER_LOG_SIZE) this.overLog.shift();
+            debugLog(`Master bus over: ${type} ${value.toFixed(1)} (threshold ${threshold})`);
+            this._emit('over', event);
+        } else if (this.overActive[type] && value < threshold - 1) {
+            this.overActive[type] = false;
+        }
+    }
+
+    // Copy of the latest meter readings
+    getLevels() {
+        return { ...this.levels };
+    }
+
+    getOverLog() {
+        return [...this.overLog];
+    }
+
+    // Restart integrated loudness and the max true peak
+    resetMeter() {
+        if (this.meter) this.meter.port.postMessage({ type: 'reset' });
+        this.levels.integrated = -Infinity;
+        this.levels.maxTruePeak = -Infinity;
+        this.overLog = [];
+    }
+
+    setSoftClip(enabled) {
+        this.options.softClip = !!enabled;
+        if (!this.clipWet) return;
+        this.clipWet.gain.rampTo(enabled ? 1 : 0, MasterBus.SOFT_CLIP_FADE);
+        this.clipDry.gain.rampTo(enabled ? 0 : 1, MasterBus.SOFT_CLIP_FADE);
+    }
+
+    setDrive(drive) {
+        if (typeof drive !== 'number' || !isFinite(drive) || drive <= 0) {
+            console.warn(`Invalid soft clip drive: ${drive}`);
+            return;
+        }
+        this.options.drive = drive;
+        if (this.clipper) this.clipper.curve = MasterBus.softClipCurve(drive);
+    }
+
+    /**
+     * Update compressor settings (any of threshold, ratio, attack, release, knee)
+     * @param {Object} settings
+     */
+    setCompressor(settings) {
+        Object.assign(this.options.compressor, settings);
+        if (!this.compressor) return;
+        Object.entries(settings).forEach(([name, value]) => {
+            if (this.compressor[name] !== undefined) {
+                this.compressor[name].rampTo(value, 0.05);
+            }
+        });
+    }
+
+    // Limiter ceiling in dBTP (-24 to 0)
+    setCeiling(db) {
+        const ceiling = Math.max(-24, Math.min(0, db));
+        this.options.ceiling = ceiling;
+        if (this.ceilingParam) this.ceilingParam.rampTo(ceiling, 0.05);
+    }
+
+    setThresholds({ peak, loudness } = {}) {
+        if (typeof peak === 'number') this.options.peakThreshold = peak;
+        if (typeof loudness === 'number') this.options.loudnessThreshold = loudness;
+    }
+
+    dispose() {
+        [this.limiter, this.meter].forEach(node => {
+            if (!node) return;
+            node.port.postMessage({ type: 'stop' });
+            node.disconnect();
+        });
+        if (this.ceilingParam) this.ceilingParam.dispose();
+        [this.input, this.compressor, this.clipper, this.clipDry, this.clipWet, this.clipSum, this.output]
+            .forEach(node => node && node.dispose());
+        this.listeners = { levels: [], over: [] };
+    }
+}
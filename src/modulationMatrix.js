@@ -0,0 +1,375 @@
+// Modulation Matrix - Routes gesture and sound sources to audio, visual and effect targets
+// Every frame the sources are read from the hand results and the output analysis (0–1
+// each, or null while a source is inactive), shaped per route (invert, curve, depth, offset, smoothing) and
+// summed per target. Targets are registered by the app; routes are plain JSON.
+
+class ModulationMatrix {
+    static FORMAT = 'drone-mapping';
+    static VERSION = 1;
+    static CURVES = ['linear', 'exp', 'scurve'];
+    static EXP_STEEPNESS = 4;      // exp curve: (e^(k·x) − 1) / (e^k − 1)
+    static PINCH_MARGIN = 0.1;     // Pinch positions use the central 80% of the frame
+    static TILT_RANGE = 60;        // Pitch/roll degrees either side of flat mapped to 0 and 1
+    static MAX_SPEED = 2;          // Palm speed (frame units per second) that reads as 1
+
+    /**
+     * Built-in sources: read(results, state) → 0–1, or null when inactive (the routes hold)
+     * Rotations are held while pinching so pinch gestures don't wobble the sound.
+     * Pinch sources follow the hand that started the pinch (state.pinchHand).
+     */
+    static SOURCES = {
+        leftRotation: (r, s) => s.pinching ? null : ModulationMatrix.rotation(r.leftRotation),
+        rightRotation: (r, s) => s.pinching ? null : ModulationMatrix.rotation(r.rightRotation),
+        pinchX: (r, s) => s.pinching ? ModulationMatrix.pinchAxis(r.pinch.position.x) : null,
+        pinchY: (r, s) => s.pinching ? ModulationMatrix.pinchAxis(r.pinch.position.y) : null,
+        leftPinchX: (r, s) => s.pinchHand === 'left' ? ModulationMatrix.pinchAxis(r.pinch.position.x) : null,
+        leftPinchY: (r, s) => s.pinchHand === 'left' ? ModulationMatrix.pinchAxis(r.pinch.position.y) : null,
+        rightPinchX: (r, s) => s.pinchHand === 'right' ? ModulationMatrix.pinchAxis(r.pinch.position.x) : null,
+        rightPinchY: (r, s) => s.pinchHand === 'right' ? ModulationMatrix.pinchAxis(r.pinch.position.y) : null,
+        handCount: (r) => Math.max(0, Math.min(2, r.handsDetected || 0)) / 2,
+        // 0 = fist, 1 = open hand; null while that hand is out of view
+        leftOpenness: (r) => r.leftOpenness ?? null,
+        rightOpenness: (r) => r.rightOpenness ?? null,
+        // Output analysis (results.audio, see AudioAnalyzer); null before the audio starts
+        audioRms: (r) => r.audio ? r.audio.rms : null,
+        audioLow: (r) => r.audio ? r.audio.low : null,
+        audioMid: (r) => r.audio ? r.audio.mid : null,
+        audioHigh: (r) => r.audio ? r.audio.high : null,
+        audioCentroid: (r) => r.audio ? r.audio.centroid : null,
+        audioTransient: (r) => r.audio ? r.audio.transient : null
+    };
+
+    /**
+     * Hand feature sources, registered per hand: 'X' → 'leftX' and 'rightX'
+     * read(features) → 0–1 from the hand's HandFeatures vector; null while that hand is out of view.
+     * x/y are frame positions (0 = left/top); angle 0.5 = fingers up; pitch/roll 0.5 = flat.
+     */
+    static FEATURE_SOURCES = {
+        X: (f) => f.x,
+        Y: (f) => f.y,
+        Size: (f) => f.size,
+        Spread: (f) => f.spread,
+        Angle: (f) => (f.angle + 180) / 360,
+        Pitch: (f) => ModulationMatrix.tilt(f.pitch),
+        Roll: (f) => ModulationMatrix.tilt(f.roll),
+        Speed: (f) => f.speed / ModulationMatrix.MAX_SPEED
+    };
+
+    // The original hardcoded mappings, plus hand openness → vowel and the sound → visuals
+    static DEFAULT_ROUTES = [
+        { source: 'leftRotation', target: 'audio.intensity' },
+        { source: 'leftRotation', target: 'visual.saturation' },
+        { source: 'rightRotation', target: 'audio.width' },
+        { source: 'rightRotation', target: 'visual.drift' },
+        { source: 'rightPinchY', target: 'audio.volume', invert: true },
+        // Open hand sings 'a', closing it moves through e, i, o to 'u'
+        { source: 'rightOpenness', target: 'effect.formant.vowel', invert: true, smoothing: 0.15 },
+        // The picture breathes with the sound: bass sways, brightness colours, attacks thicken.
+        // These add to the hands' drift and saturation; the sum is clamped at 1.
+        { source: 'audioLow', target: 'visual.drift', depth: 0.3, smoothing: 0.2 },
+        { source: 'audioCentroid', target: 'visual.saturation', depth: 0.4, smoothing: 0.5 },
+        { source: 'audioTransient', target: 'visual.density' }
+    ];
+
+    // |rotation| / 90°, clamped to 0–1
+    static rotation(degrees) {
+        if (typeof degrees !== 'number' || !isFinite(degrees)) return 0;
+        return Math.min(1, Math.abs(degrees) / 90);
+    }
+
+    // Tilt in degrees → 0–1 with flat at 0.5
+    static tilt(degrees) {
+        if (typeof degrees !== 'number' || !isFinite(degrees)) return null;
+        return 0.5 + degrees / (2 * ModulationMatrix.TILT_RANGE);
+    }
+
+    // Normalized frame coordinate → 0–1 across the central part of the frame
+    static pinchAxis(value) {
+        const margin = ModulationMatrix.PINCH_MARGIN;
+        if (typeof value !== 'number' || !isFinite(value)) return null;
+        return Math.max(0, Math.min(1, (value - margin) / (1 - 2 * margin)));
+    }
+
+    // Apply a route curve to a 0–1 value
+    static shape(x, curve) {
+        if (curve === 'exp') {
+            const k = ModulationMatrix.EXP_STEEPNESS;
+            return (Math.exp(k * x) - 1) / (Math.exp(k) - 1);
+        }
+        if (curve === 'scurve') {
+            return x * x * (3 - 2 * x);
+        }
+        return x;
+    }
+
+    // Check that parsed JSON is a mapping
+    static isMapping(data) {
+        return !!data && data.format === ModulationMatrix.FORMAT && Array.isArray(data.routes);
+    }
+
+    /**
+     * @param {Array<Object>} [routes] - Initial routes (defaults to DEFAULT_ROUTES)
+     */
+    constructor(routes = ModulationMatrix.DEFAULT_ROUTES) {
+        this.sources = { ...ModulationMatrix.SOURCES };
+        Object.entries(ModulationMatrix.FEATURE_SOURCES).forEach(([suffix, read]) => {
+            ['left', 'right'].forEach(hand => {
+                this.registerSource(hand + suffix, (r) => (r.features && r.features[hand] ? read(r.features[hand]) : null));
+            });
+        });
+        Object.keys(GestureRegistry.BUILT_IN).forEach(name => this.registerPoseSource(name));
+        this.targets = {};          // name → set(value)
+        this.targetResolvers = [];  // { prefix, resolve(name) → set(value) | null }
+
+        this.routes = [];
+        this.routeValues = new Map();  // route id → last output (null until the source is active)
+        this.routeTimes = new Map();   // route id → time of its last update, for smoothing
+
+        this.pinchHand = null;      // Hand locked at the start of the current pinch
+
+        this.setRoutes(routes);
+    }
+
+    /**
+     * Add a source
+     * @param {string} name
+     * @param {Function} read - (results, state) → 0–1, or null while inactive
+     */
+    registerSource(name, read) {
+        this.sources[name] = read;
+    }
+
+    /**
+     * Add a held-pose source per hand, e.g. 'peace' → 'leftPeace' and 'rightPeace'
+     * 1 while the pose is confirmed on that hand, 0 otherwise (route smoothing turns it into a fade)
+     * @param {string} name - Pose name in the hand detector's GestureRegistry
+     */
+    registerPoseSource(name) {
+        const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+        ['left', 'right'].forEach(hand => {
+            this.registerSource(hand + suffix, (r) => (r.gestures ? (r.gestures[hand].includes(name) ? 1 : 0) : null));
+        });
+    }
+
+    /**
+     * Add a target
+     * @param {string} name - e.g. 'audio.intensity'
+     * @param {Function} set - Receives the summed route output, clamped to 0–1
+     */
+    registerTarget(name, set) {
+        this.targets[name] = set;
+    }
+
+    /**
+     * Resolve a family of targets by prefix, e.g. 'effect.' → 'effect.filter.frequency'
+     * @param {string} prefix
+     * @param {Function} resolve - (name) → set(value), or null if the target doesn't exist
+     */
+    registerTargetResolver(prefix, resolve) {
+        this.targetResolvers.push({ prefix, resolve });
+    }
+
+    getSourceNames() {
+        return Object.keys(this.sources);
+    }
+
+    getTargetNames() {
+        return Object.keys(this.targets);
+    }
+
+    /**
+     * Add a route
+     * @param {Object} route - { id?, source, target, depth?, offset?, curve?, invert?, smoothing? }
+     * @returns {string|null} Route id, null if the route is invalid
+     */
+    addRoute(route) {
+        const normalized = this._normalizeRoute(route, this.routes);
+        if (!normalized) return null;
+        this.routes.push(normalized);
+        this.routeValues.set(normalized.id, null);
+        return normalized.id;
+    }
+
+    // Change fields of a route (source and target included)
+    updateRoute(id, changes) {
+        const index = this.routes.findIndex(route => route.id === id);
+        if (index === -1) return false;
+        const others = this.routes.filter(route => route.id !== id);
+        const normalized = this._normalizeRoute({ ...this.routes[index], ...changes, id }, others);
+        if (!normalized) return false;
+        this.routes[index] = normalized;
+        return true;
+    }
+
+    removeRoute(id) {
+        const count = this.routes.length;
+        this.routes = this.routes.filter(route => route.id !== id);
+        this.routeValues.delete(id);
+        this.routeTimes.delete(id);
+        return this.routes.length !== count;
+    }
+
+    // Replace all routes (invalid ones are skipped with a warning)
+    setRoutes(routes) {
+        this.routes = [];
+        this.routeValues.clear();
+        this.routeTimes.clear();
+        routes.forEach(route => this.addRoute(route));
+    }
+
+    getRoutes() {
+        return this.routes.map(route => ({ ...route }));
+    }
+
+    // Serializable mapping, e.g. one per piece in a set
+    toJSON() {
+        return {
+            format: ModulationMatrix.FORMAT,
+            version: ModulationMatrix.VERSION,
+            routes: this.getRoutes()
+        };
+    }
+
+    /**
+     * Replace the routes from a mapping
+     * @param {Object|string} data - Parsed mapping or JSON text
+     */
+    load(data) {
+        const mapping = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!ModulationMatrix.isMapping(mapping)) {
+            throw new Error('Not a modulation mapping');
+        }
+        if (mapping.version > ModulationMatrix.VERSION) {
+            console.warn(`Mapping version ${mapping.version} is newer than supported`);
+        }
+        this.setRoutes(mapping.routes);
+    }
+
+    // Sources read from the output analysis (results.audio), which runs at the render rate
+    static isAudioSource(name) {
+        return name.startsWith('audio');
+    }
+
+    /**
+     * Read the sources from one results object and drive the targets
+     * Routes whose source is filtered out keep their last value and still count in the sums,
+     * so hand frames and render frames can each update their own routes.
+     * @param {Object} results - HandDetector / GesturePlayer results
+     * @param {number} [now] - Milliseconds, for smoothing
+     * @param {Object} [options]
+     * @param {Function} [options.sources] - (source name) → boolean, which routes to update
+     */
+    process(results, now = performance.now(), { sources = null } = {}) {
+        // Lock the pinching hand for the whole pinch (MediaPipe can flip labels mid-pinch).
+        // Audio-only calls from the render loop carry no pinch and leave the lock alone.
+        const pinching = !!(results.pinch && results.pinch.active && results.pinch.position);
+        if (results.pinch) {
+            if (!pinching) {
+                this.pinchHand = null;
+            } else if (!this.pinchHand) {
+                this.pinchHand = results.pinch.hand;
+            }
+        }
+
+        const state = { pinching, pinchHand: this.pinchHand };
+        const inputs = {};
+        const touched = new Set();
+
+        this.routes.forEach(route => {
+            if (sources && !sources(route.source)) return;
+            const last = this.routeTimes.get(route.id);
+            const dt = last === undefined ? 0 : Math.max(0, now - last) / 1000;
+            this.routeTimes.set(route.id, now);
+
+            if (!(route.source in inputs)) {
+                inputs[route.source] = this._readSource(route.source, results, state);
+            }
+            const input = inputs[route.source];
+            if (input === null) return;
+
+            const shaped = ModulationMatrix.shape(route.invert ? 1 - input : input, route.curve);
+            const goal = route.offset + route.depth * shaped;
+            const previous = this.routeValues.get(route.id);
+            let value = goal;
+            if (route.smoothing > 0 && previous !== null) {
+                value = previous + (goal - previous) * (1 - Math.exp(-dt / route.smoothing));
+            }
+            this.routeValues.set(route.id, value);
+            touched.add(route.target);
+        });
+
+        // Sum every route into each target that moved; held routes keep contributing
+        touched.forEach(target => {
+            let sum = 0;
+            this.routes.forEach(route => {
+                const value = this.routeValues.get(route.id);
+                if (route.target === target && value !== null) sum += value;
+            });
+            this._setTarget(target, Math.max(0, Math.min(1, sum)));
+        });
+    }
+
+    _readSource(name, results, state) {
+        const read = this.sources[name];
+        if (!read) return null;
+        try {
+            const value = read(results, state);
+            return typeof value === 'number' && isFinite(value) ? Math.max(0, Math.min(1, value)) : null;
+        } catch (err) {
+            debugLog(`Modulation source ${name} failed:`, err);
+            return null;
+        }
+    }
+
+    _resolveTarget(name) {
+        if (this.targets[name]) return this.targets[name];
+        const resolver = this.targetResolvers.find(entry => name.startsWith(entry.prefix));
+        return resolver ? resolver.resolve(name) : null;
+    }
+
+    _setTarget(name, value) {
+        const set = this._resolveTarget(name);
+        if (!set) return;
+        try {
+            set(value);
+        } catch (err) {
+            debugLog(`Modulation target ${name} failed:`, err);
+        }
+    }
+
+    _isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    _normalizeRoute(route, existing) {
+        if (!route || typeof route.source !== 'string' || typeof route.target !== 'string') {
+            console.warn('Modulation routes need a source and a target');
+            return null;
+        }
+        // Unknown names are kept (sources and targets can be registered later) but flagged
+        if (!this.sources[route.source]) {
+            console.warn(`Unknown modulation source: ${route.source}`);
+        }
+        if (route.curve !== undefined && !ModulationMatrix.CURVES.includes(route.curve)) {
+            console.warn(`Unknown modulation curve: ${route.curve}`);
+        }
+
+        // Ids default to source>target, suffixed when the pair is already routed
+        const base = route.id || `${route.source}>${route.target}`;
+        let id = base;
+        for (let n = 2; existing.some(other => other.id === id); n++) {
+            id = `${base}${n}`;
+        }
+
+        return {
+            id,
+            source: route.source,
+            target: route.target,
+            depth: this._isNumber(route.depth) ? route.depth : 1,
+            offset: this._isNumber(route.offset) ? route.offset : 0,
+            curve: ModulationMatrix.CURVES.includes(route.curve) ? route.curve : 'linear',
+            invert: !!route.invert,
+            smoothing: this._isNumber(route.smoothing) ? Math.max(0, route.smoothing) : 0  // Seconds
+        };
+    }
+}
@@ -0,0 +1,117 @@
+// Offline Renderer - Bounces a performance timeline to audio faster than real time
+// Builds a fresh AudioEngine on a Tone.OfflineContext, schedules the timeline's key,
+// intensity, width and volume changes on the offline clock and renders the result.
+// Everything random in the graph is seeded, so a timeline always renders identically.
+
+class OfflineRenderer {
+    static SAMPLE_RATE = 48000;
+    static TAIL_TIME = 4;   // Seconds rendered after the last event (reverb tail)
+    static PARAMS = ['key', 'intensity', 'width', 'volume'];
+
+    /**
+     * Timeline from a gesture recording (frames carry the engine parameters they produced)
+     * @param {Object} recording - See GestureRecorder
+     * @returns {{duration: number, events: Array<Object>}} Times in seconds
+     */
+    static timelineFromRecording(recording) {
+        if (!GestureRecorder.isRecording(recording)) {
+            throw new Error('Not a gesture recording');
+        }
+        const events = recording.frames
+            .filter(frame => frame.audio)
+            .map(frame => ({ time: frame.t / 1000, ...frame.audio }));
+        if (events.length === 0) {
+            throw new Error('Gesture recording has no audio parameters to render');
+        }
+        return { duration: recording.duration / 1000, events };
+    }
+
+    /**
+     * Render a timeline
+     * Events at time 0 set the starting state (no glide into the first key).
+     * @param {Object} timeline - { duration, events: [{ time, key?, intensity?, width?, volume? }] }
+     * @param {Object} [options]
+     * @param {number} [options.sampleRate]
+     * @param {number} [options.tail] - Extra seconds after timeline.duration
+     * @param {number} [options.seed] - Voice randomness seed
+     * @param {Object} [options.preset] - Sound to render with (see AudioEngine.getPreset)
+     * @param {Tuning} [options.tuning] - Tuning to render in (defaults to 12-TET at A=440)
+     * @returns {Promise<Tone.ToneAudioBuffer>} Stereo buffer
+     */
+    static async render(timeline, {
+        sampleRate = OfflineRenderer.SAMPLE_RATE,
+        tail = OfflineRenderer.TAIL_TIME,
+        seed = 1,
+        preset = null,
+        tuning = null
+    } = {}) {
+        const events = OfflineRenderer._validate(timeline);
+        const context = new Tone.OfflineContext(2, timeline.duration + Math.max(0, tail), sampleRate);
+        const engine = new AudioEngine({ context, seed });
+
+        if (preset) await engine.applyPreset(preset);
+        if (tuning) {
+            engine.tuning = tuning;
+            engine.setChord({});
+        }
+
+        // Before init these only set the starting state
+        events.filter(event => event.time <= 0).forEach(event => OfflineRenderer._apply(engine, event));
+        await engine.init();
+
+        // The offline clock fires these at their times while it schedules the render
+        events.filter(event => event.time > 0).forEach(event => {
+            context.setTimeout(() => OfflineRenderer._apply(engine, event), event.time);
+        });
+
+        const started = performance.now();
+        const buffer = await context.render();
+        debugLog(`Rendered ${buffer.duration.toFixed(1)}s offline in ${((performance.now() - started) / 1000).toFixed(1)}s`);
+        return buffer;
+    }
+
+    /**
+     * Render a timeline to a WAV file
+     * @param {Object} timeline
+     * @param {Object} [options] - render() options plus bitDepth (16, 24 or 32)
+     * @returns {Promise<Blob>}
+     */
+    static async renderWav(timeline, { bitDepth = 24, ...options } = {}) {
+        const buffer = await OfflineRenderer.render(timeline, options);
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c));
+        }
+        return AudioRecorder.encodeWav(channels, buffer.sampleRate, bitDepth);
+    }
+
+    // Events sorted by time, with unknown fields dropped
+    static _validate(timeline) {
+        if (!timeline || typeof timeline.duration !== 'number' || !isFinite(timeline.duration) || timeline.duration <= 0) {
+            throw new Error('Timeline needs a positive duration in seconds');
+        }
+        if (!Array.isArray(timeline.events)) {
+            throw new Error('Timeline needs an events array');
+        }
+
+        return timeline.events
+            .filter(event => typeof event.time === 'number' && isFinite(event.time))
+            .map(event => {
+                const clean = { time: Math.max(0, event.time) };
+                OfflineRenderer.PARAMS.forEach(name => {
+                    if (event[name] !== undefined) clean[name] = event[name];
+                });
+                return clean;
+            })
+            .sort((a, b) => a.time - b.time);
+    }
+
+    static _apply(engine, event) {
+        if (event.key !== undefined && event.key !== engine.getCurrentKey()) {
+            engine.setKey(event.key);
+        }
+        if (event.intensity !== undefined) engine.setIntensity(event.intensity);
+        if (event.width !== undefined) engine.setWidth(event.width);
+        if (event.volume !== undefined) engine.setVolume(event.volume);
+    }
+}
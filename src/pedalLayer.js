@@ -0,0 +1,207 @@
+// Pedal Layer - Sub-bass or fixed pedal tone underneath the drone voices
+// Either an octave below the current root or a note the performer picks, and either
+// following key changes with its own slow glide or holding still while the harmony moves.
+// It has its own oscillator, lowpass and level, ducks against the voices like a
+// sidechain compressor and goes straight to the master gain, dry and mono.
+
+class PedalLayer {
+    static TYPES = ['sine', 'triangle', 'sawtooth', 'square'];
+    static SUB_OCTAVE = 2;       // Sub pedal: the root an octave below the drone's root (octave 3)
+    static MIN_MIDI = 12;        // C0
+    static MAX_MIDI = 59;        // B3
+
+    static DEFAULTS = {
+        note: null,              // null for the sub-octave root, or a note name like 'D2'
+        follow: true,            // Follow key changes, or hold the current pitch
+        glide: 4,                // Seconds to follow a key change (slower than the voices)
+        type: 'sine',
+        level: 0.6,
+        cutoff: 180,             // Hz, lowpass
+        duck: 0.5                // 0 (no ducking) to 1 (silent while the voices are loud)
+    };
+
+    static LEVEL = 0.5;          // Gain at level 1, against the master gain
+    static FADE_TIME = 1.5;      // Seconds to fade the pedal in or out
+    static DUCK_SMOOTHING = 0.25;  // Seconds, envelope follower on the voices
+    static DUCK_SENSITIVITY = 3;   // Voice amplitude × this = fraction of the duck amount applied
+
+    /**
+     * MIDI note for a note name with an octave, e.g. 'D2' → 38, 'F#1' → 30
+     * @param {string} name
+     * @returns {number|null} null if it isn't a note name or is outside MIN_MIDI–MAX_MIDI
+     */
+    static parseNote(name) {
+        const match = /^([A-G][#b]?)(-?\d)$/.exec(String(name).trim());
+        if (!match || !ChordLibrary.hasRoot(match[1])) return null;
+        const midi = Tuning.midiNote(ChordLibrary.NOTE_INDEX[match[1]], Number(match[2]));
+        return midi >= PedalLayer.MIN_MIDI && midi <= PedalLayer.MAX_MIDI ? midi : null;
+    }
+
+    /**
+     * @param {AudioEngine} engine - Supplies the context, root and tuning
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.context = engine.context;
+
+        this.enabled = false;
+        this.settings = { ...PedalLayer.DEFAULTS };
+        this.noteMidi = null;        // Parsed settings.note
+        this.anchorRoot = 0;         // Root (note index) when the note was picked; following transposes from it
+        this.midi = this._targetMidi();
+        this.frequency = this._frequency(this.midi);
+
+        // Built by init()
+        this.oscillator = null;
+        this.filter = null;
+        this.duckGain = null;
+        this.amp = null;
+        this.output = null;
+        this.sidechain = null;       // Follower fed by the voices
+        this.duckShaper = null;
+    }
+
+    // Build the nodes: oscillator → filter → duck gain → amp → output, sidechain → shaper → duck gain
+    init() {
+        const context = this.context;
+        const { type, cutoff, level } = this.settings;
+        this.output = new Tone.Gain({ context });
+        this.amp = new Tone.Gain({ context, gain: this.enabled ? level * PedalLayer.LEVEL : 0 }).connect(this.output);
+        this.duckGain = new Tone.Gain({ context, gain: 1 }).connect(this.amp);
+        this.filter = new Tone.Filter({ context, type: 'lowpass', frequency: cutoff, Q: 0.7, rolloff: -24 }).connect(this.duckGain);
+        this.oscillator = new Tone.Oscillator({ context, type, frequency: this.frequency }).connect(this.filter).start();
+
+        // The shaped envelope is negative and adds to the duck gain's resting value of 1
+        this.sidechain = new Tone.Follower({ context, smoothing: PedalLayer.DUCK_SMOOTHING });
+        this.duckShaper = new Tone.WaveShaper({ context, mapping: this._duckMapping(), length: 1024 });
+        this.sidechain.connect(this.duckShaper);
+        this.duckShaper.connect(this.duckGain.gain);
+    }
+
+    /**
+     * Fade the pedal in or out
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.amp) return;
+        this.amp.gain.cancelAndHoldAtTime(this.context.now());
+        this.amp.gain.rampTo(this.enabled ? this.settings.level * PedalLayer.LEVEL : 0, PedalLayer.FADE_TIME);
+    }
+
+    /**
+     * Change any of the pedal settings (see DEFAULTS)
+     * @param {Object} settings - { note, follow, glide, type, level, cutoff, duck }; note 'sub' or null
+     *   returns to the sub-octave root
+     */
+    configure({ note, follow, glide, type, level, cutoff, duck } = {}) {
+        const s = this.settings;
+        let retarget = false;
+        if (note === null || note === 'sub') {
+            s.note = null;
+            this.noteMidi = null;
+            retarget = true;
+        } else if (note !== undefined) {
+            const midi = PedalLayer.parseNote(note);
+            if (midi === null) {
+                console.warn(`Unknown pedal note: ${note}`);
+            } else {
+                s.note = String(note).trim();
+                this.noteMidi = midi;
+                this.anchorRoot = ChordLibrary.NOTE_INDEX[this.engine.currentRoot];
+                retarget = true;
+            }
+        }
+        if (typeof follow === 'boolean') {
+            // Switching back to follow catches up with the current key
+            retarget = retarget || (follow && !s.follow);
+            s.follow = follow;
+        }
+        if (this._isNumber(glide)) s.glide = Math.max(0, glide);
+        if (PedalLayer.TYPES.includes(type)) {
+            s.type = type;
+            if (this.oscillator) this.oscillator.type = type;
+        }
+        if (this._isNumber(level)) {
+            s.level = Math.max(0, Math.min(1, level));
+            if (this.enabled && this.amp) this.amp.gain.rampTo(s.level * PedalLayer.LEVEL, 0.05);
+        }
+        if (this._isNumber(cutoff)) {
+            s.cutoff = Math.max(20, Math.min(2000, cutoff));
+            if (this.filter) this.filter.frequency.rampTo(s.cutoff, 0.05);
+        }
+        if (this._isNumber(duck)) {
+            s.duck = Math.max(0, Math.min(1, duck));
+            if (this.duckShaper) this.duckShaper.setMap(this._duckMapping());
+        }
+
+        // A newly picked note is played as given, even when holding
+        if (retarget) this._glideTo(this._targetMidi(), Math.min(s.glide, 0.5));
+    }
+
+    // Key change: glide to the new pedal note when following, stay put when holding
+    update() {
+        if (!this.settings.follow) return;
+        const midi = this._targetMidi();
+        if (midi !== this.midi) this._glideTo(midi, this.settings.glide);
+    }
+
+    // Note name of the sounding pedal, e.g. 'D2'
+    getNoteName() {
+        const names = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        return `${names[this.midi % 12]}${Math.floor(this.midi / 12) - 1}`;
+    }
+
+    getState() {
+        return { enabled: this.enabled, ...this.settings, sounding: this.getNoteName() };
+    }
+
+    dispose() {
+        [this.sidechain, this.duckShaper, this.oscillator, this.filter, this.duckGain, this.amp, this.output]
+            .forEach(node => node && node.dispose());
+        this.oscillator = null;
+    }
+
+    // Pedal note for the current root: the sub-octave root, or the picked note moved by
+    // the smallest interval from the root it was picked in
+    _targetMidi() {
+        const root = ChordLibrary.NOTE_INDEX[this.engine.currentRoot];
+        if (this.noteMidi === null) {
+            return Tuning.midiNote(root, PedalLayer.SUB_OCTAVE);
+        }
+        if (!this.settings.follow) return this.noteMidi;
+        const shift = ((root - this.anchorRoot + 18) % 12) - 6;
+        return Math.max(PedalLayer.MIN_MIDI, Math.min(PedalLayer.MAX_MIDI, this.noteMidi + shift));
+    }
+
+    _glideTo(midi, duration) {
+        this.midi = midi;
+        this.frequency = this._frequency(midi);
+        if (!this.oscillator) return;
+
+        const param = this.oscillator.frequency;
+        const now = this.context.now();
+        param.cancelAndHoldAtTime(now);
+        if (duration > 0) {
+            param.exponentialRampToValueAtTime(this.frequency, now + duration);
+        } else {
+            param.setValueAtTime(this.frequency, now);
+        }
+    }
+
+    // Tuned relative to the current root, so just intonation keeps the pedal consonant
+    _frequency(midi) {
+        const rootMidi = Tuning.midiNote(ChordLibrary.NOTE_INDEX[this.engine.currentRoot], PedalLayer.SUB_OCTAVE);
+        return this.engine.tuning.frequency(midi, rootMidi);
+    }
+
+    // Follower level → duck gain offset (0 to -duck)
+    _duckMapping() {
+        const duck = this.settings.duck;
+        return value => -duck * Math.max(0, Math.min(1, value * PedalLayer.DUCK_SENSITIVITY));
+    }
+
+    _isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+}
@@ -0,0 +1,206 @@
+// Preset Library - Factory presets plus user presets saved in localStorage
+// Presets are the JSON objects AudioEngine.getPreset() produces (synth, macro ranges,
+// effects chain and default key); fields a preset leaves out take the engine defaults.
+
+class PresetLibrary {
+    static STORAGE_KEY = 'drone.presets';
+
+    static FACTORY = [
+        // The original sound
+        { name: 'Choir', key: 'C' },
+        {
+            name: 'Glass',
+            key: 'E',
+            voicing: 'open',
+            timbreBanks: [{ name: 'pure', type: 'sine' }, { name: 'bell', type: 'fmsine' }],
+            ranges: { filterFrequency: [1200, 9000], filterQ: [0.7, 1.5], spread: [4, 18], driftDepth: [1, 6] },
+            effects: [
+                { id: 'filter', type: 'filter' },
+                { id: 'chorus', type: 'chorus', mix: 0.4 },
+                { id: 'widener', type: 'widener' },
+                { id: 'pingPong', type: 'pingPong', mix: 0.2, params: { delayTime: 0.5, feedback: 0.45 } },
+                { id: 'reverb', type: 'reverb', mix: 0.45, params: { decay: 6 } }
+            ]
+        },
+        {
+            name: 'Dust',
+            key: 'Am',
+            voicing: 'close',
+            timbreBanks: [{ name: 'breath', type: 'breath' }, { name: 'rounded', type: 'triangle' }],
+            ranges: { filterFrequency: [200, 2500], spread: [20, 60], driftDepth: [5, 25] },
+            effects: [
+                { id: 'filter', type: 'filter' },
+                { id: 'tape', type: 'tape', params: { drive: 0.4, tone: 5000 } },
+                { id: 'chorus', type: 'chorus', mix: 0.5 },
+                { id: 'widener', type: 'widener' },
+                { id: 'reverb', type: 'reverb', mix: 0.3, params: { decay: 3 } }
+            ]
+        },
+        {
+            name: 'Cathedral',
+            key: 'D',
+            voicing: 'spread',
+            voices: 6,
+            glide: { time: 1.5, stagger: 0.4, curve: 'scurve' },
+            ranges: { filterFrequency: [400, 3500], stereoWidth: [0.6, 1] },
+            effects: [
+                { id: 'filter', type: 'filter' },
+                { id: 'chorus', type: 'chorus', mix: 0.5 },
+                { id: 'widener', type: 'widener' },
+                { id: 'shimmer', type: 'shimmer', mix: 0.3 },
+                { id: 'reverb', type: 'reverb', mix: 0.55, params: { decay: 12 } }
+            ]
+        },
+        {
+            name: 'Engine Room',
+            key: 'F#m',
+            timbreBanks: [{ name: 'hollow', type: 'square' }, { name: 'saturated', type: 'fmsawtooth' }],
+            ranges: { filterFrequency: [150, 3000], filterQ: [2, 6], chorusDepth: [0.1, 0.4] },
+            effects: [
+                { id: 'filter', type: 'filter' },
+                { id: 'bitcrusher', type: 'bitcrusher', mix: 0.25, params: { bits: 6 } },
+                { id: 'phaser', type: 'phaser', mix: 0.4 },
+                { id: 'chorus', type: 'chorus', mix: 0.3 },
+                { id: 'widener', type: 'widener' },
+                { id: 'reverb', type: 'reverb', mix: 0.25, params: { decay: 2 } }
+            ]
+        }
+    ];
+
+    /**
+     * Preset as a downloadable JSON file, e.g. 'Engine Room' → preset-engine-room.json
+     * @param {Object} preset
+     * @returns {{json: string, filename: string}}
+     */
+    static toFile(preset) {
+        const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+        return { json: JSON.stringify(preset, null, 2), filename: `preset-${slug}.json` };
+    }
+
+    // Check that parsed JSON is a preset
+    static isPreset(data) {
+        return !!data && data.format === AudioEngine.PRESET_FORMAT && typeof data.name === 'string';
+    }
+
+    /**
+     * @param {Storage} [storage] - Defaults to window.localStorage (null disables saving)
+     */
+    constructor(storage = PresetLibrary._defaultStorage()) {
+        this.storage = storage;
+        this.factory = PresetLibrary.FACTORY.map(preset => AudioEngine.normalizePreset(preset));
+        this.user = this._read();
+    }
+
+    static _defaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (err) {
+            // Blocked in some privacy modes
+            return null;
+        }
+    }
+
+    // Preset names in order: factory first, then user presets
+    list() {
+        return [
+            ...this.factory.map(preset => ({ name: preset.name, factory: true })),
+            ...this.user.map(preset => ({ name: preset.name, factory: false }))
+        ];
+    }
+
+    get(name) {
+        const preset = this.user.find(p => p.name === name) || this.factory.find(p => p.name === name);
+        return preset ? JSON.parse(JSON.stringify(preset)) : null;
+    }
+
+    isFactory(name) {
+        return this.factory.some(preset => preset.name === name);
+    }
+
+    /**
+     * Save a user preset (replaces a user preset with the same name)
+     * @param {Object} preset - e.g. audioEngine.getPreset('My sound')
+     * @returns {boolean} false for factory names or when storage fails
+     */
+    save(preset) {
+        const normalized = AudioEngine.normalizePreset(preset);
+        if (this.isFactory(normalized.name)) {
+            console.warn(`Cannot overwrite factory preset: ${normalized.name}`);
+            return false;
+        }
+        this.user = [...this.user.filter(p => p.name !== normalized.name), normalized];
+        return this._write();
+    }
+
+    remove(name) {
+        const count = this.user.length;
+        this.user = this.user.filter(preset => preset.name !== name);
+        if (this.user.length === count) return false;
+        return this._write();
+    }
+
+    // Name of the preset `step` places away from `name` in list order (wraps around)
+    neighbour(name, step) {
+        const names = this.list().map(entry => entry.name);
+        const index = names.indexOf(name);
+        if (index === -1) return names[0];
+        return names[(index + step + names.length * Math.abs(step)) % names.length];
+    }
+
+    // A stored preset as a downloadable JSON file, null if there is none by that name
+    exportPreset(name) {
+        const preset = this.get(name);
+        return preset ? PresetLibrary.toFile(preset) : null;
+    }
+
+    /**
+     * Import a preset file as a user preset
+     * A preset named like a factory preset is saved with ' (imported)' appended.
+     * @param {Object|string|File} source - Parsed preset, JSON text or File
+     * @returns {Promise<string>} The saved name
+     */
+    async importPreset(source) {
+        let data = source;
+        if (typeof File !== 'undefined' && source instanceof File) {
+            data = JSON.parse(await source.text());
+        } else if (typeof source === 'string') {
+            data = JSON.parse(source);
+        }
+        if (!PresetLibrary.isPreset(data)) {
+            throw new Error('Not a preset');
+        }
+        if (data.version > AudioEngine.PRESET_VERSION) {
+            console.warn(`Preset version ${data.version} is newer than supported`);
+        }
+
+        const name = this.isFactory(data.name) ? `${data.name} (imported)` : data.name;
+        if (!this.save({ ...data, name })) {
+            debugLog(`Preset ${name} imported but not persisted`);
+        }
+        return name;
+    }
+
+    _read() {
+        if (!this.storage) return [];
+        try {
+            const stored = JSON.parse(this.storage.getItem(PresetLibrary.STORAGE_KEY) || '[]');
+            return Array.isArray(stored)
+                ? stored.filter(PresetLibrary.isPreset).map(preset => AudioEngine.normalizePreset(preset))
+                : [];
+        } catch (err) {
+            console.warn('Stored presets are unreadable, ignoring them:', err);
+            return [];
+        }
+    }
+
+    _write() {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(PresetLibrary.STORAGE_KEY, JSON.stringify(this.user));
+            return true;
+        } catch (err) {
+            console.warn('Could not save presets:', err);
+            return false;
+        }
+    }
+}
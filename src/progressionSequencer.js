@@ -0,0 +1,228 @@
+// Progression Sequencer - Steps through a pre-composed list of keys or chords
+// Advances on a gesture (a quick left-hand pinch tap) or on a schedule in bars or
+// seconds on the Tone.Transport, so a harmonic arc can be performed hands-free.
+// Steps are 'Am' style keys, 'D:sus2' style root:quality pairs or chord objects.
+
+class ProgressionSequencer {
+    static FORMAT = 'drone-progression';
+    static VERSION = 1;
+    static MODES = ['gesture', 'time'];
+    static DEFAULT_LENGTH = { bars: 4 };   // Step length in time mode when a step has none
+    static TAP_TIME = 250;                 // Longest pinch (ms) that counts as a tap
+    static TAP_DISTANCE = 0.05;            // Furthest a tap may move (normalized frame units)
+
+    // Check that parsed JSON is a progression
+    static isProgression(data) {
+        return !!data && data.format === ProgressionSequencer.FORMAT && Array.isArray(data.steps);
+    }
+
+    /**
+     * Parse a step: 'Am', 'F#', 'D:sus2', or { root, quality?, voicing?, voices?, bars?, seconds? }
+     * @param {string|Object} step
+     * @returns {Object|null} { root, quality, voicing?, voices?, bars?, seconds?, label }
+     */
+    static parseStep(step) {
+        let chord = step;
+        if (typeof step === 'string') {
+            const [name, quality] = step.trim().split(':');
+            chord = quality ? { root: name, quality } : ChordLibrary.parseKey(name);
+        }
+        if (!chord || typeof chord !== 'object') return null;
+
+        const root = chord.root;
+        const quality = chord.quality || 'major';
+        if (!ChordLibrary.hasRoot(root) || !ChordLibrary.hasQuality(quality)) {
+            console.warn(`Unknown progression step: ${JSON.stringify(step)}`);
+            return null;
+        }
+
+        const parsed = { root, quality, label: typeof step === 'string' ? step.trim() : chord.label };
+        if (!parsed.label) {
+            parsed.label = quality === 'major' || quality === 'minor'
+                ? ChordLibrary.keyName(root, quality)
+                : `${root}:${quality}`;
+        }
+        if (ChordLibrary.hasVoicing(chord.voicing)) parsed.voicing = chord.voicing;
+        if (typeof chord.voices === 'number') parsed.voices = chord.voices;
+        if (chord.bars > 0) parsed.bars = chord.bars;
+        if (chord.seconds > 0) parsed.seconds = chord.seconds;
+        return parsed;
+    }
+
+    /**
+     * @param {AudioEngine} engine
+     * @param {Object} [options]
+     * @param {Tone.Transport} [options.transport] - Clock for time mode (defaults to the engine context's)
+     */
+    constructor(engine, { transport = engine.context.transport } = {}) {
+        this.engine = engine;
+        this.transport = transport;
+
+        this.steps = [];
+        this.index = -1;          // Step currently sounding (-1 before the first)
+        this.mode = 'gesture';
+        this.loop = true;
+        this.stepLength = { ...ProgressionSequencer.DEFAULT_LENGTH };
+
+        this.isRunning = false;   // Time mode schedule active
+        this.eventId = null;      // Transport event for the next advance
+
+        this.onStep = null;       // Called with (step, index, nextStep) after each step
+        this.onEnded = null;      // Called when a non-looping progression runs out
+    }
+
+    /**
+     * Replace the progression
+     * @param {Object|string} data - Progression object/JSON, or a comma-separated list ('C, Am, F, G')
+     */
+    load(data) {
+        let progression = data;
+        if (typeof data === 'string') {
+            progression = data.trim().startsWith('{')
+                ? JSON.parse(data)
+                : { format: ProgressionSequencer.FORMAT, steps: data.split(',') };
+        }
+        if (!ProgressionSequencer.isProgression(progression)) {
+            throw new Error('Not a progression');
+        }
+        if (progression.version > ProgressionSequencer.VERSION) {
+            console.warn(`Progression version ${progression.version} is newer than supported`);
+        }
+
+        const steps = progression.steps.map(step => ProgressionSequencer.parseStep(step)).filter(Boolean);
+        if (steps.length === 0) {
+            throw new Error('Progression has no playable steps');
+        }
+
+        this.stop();
+        this.steps = steps;
+        this.index = -1;
+        this.mode = ProgressionSequencer.MODES.includes(progression.mode) ? progression.mode : 'gesture';
+        this.loop = progression.loop !== false;
+        this.stepLength = this._normalizeLength(progression.stepLength) || { ...ProgressionSequencer.DEFAULT_LENGTH };
+        if (progression.bpm > 0) {
+            this.engine.rhythm.setTempo(progression.bpm);
+        }
+        debugLog(`Progression loaded: ${steps.map(step => step.label).join(' → ')} (${this.mode})`);
+    }
+
+    // Serializable progression
+    toJSON() {
+        return {
+            format: ProgressionSequencer.FORMAT,
+            version: ProgressionSequencer.VERSION,
+            mode: this.mode,
+            loop: this.loop,
+            stepLength: { ...this.stepLength },
+            steps: this.steps.map(({ label, ...step }) => step)
+        };
+    }
+
+    hasSteps() {
+        return this.steps.length > 0;
+    }
+
+    getCurrentStep() {
+        return this.steps[this.index] || null;
+    }
+
+    // The step the next advance will play (null at the end of a non-looping progression)
+    getNextStep() {
+        const next = this._nextIndex(1);
+        return next === null ? null : this.steps[next];
+    }
+
+    /**
+     * Play the next step (in time mode the step timer restarts from here)
+     * @returns {boolean} false at the end of a non-looping progression
+     */
+    advance() {
+        return this._goTo(this._nextIndex(1));
+    }
+
+    // Play the previous step (stays on the first step of a non-looping progression)
+    previous() {
+        const index = this._nextIndex(-1);
+        return index === null ? false : this._goTo(index);
+    }
+
+    // Time mode: play the first step now (or the current one) and advance on the transport
+    start() {
+        if (!this.hasSteps()) return;
+        this.isRunning = true;
+        if (this.transport.state !== 'started') {
+            this.transport.start();
+        }
+        if (this.index === -1) {
+            this.advance();
+        } else {
+            this._schedule();
+        }
+    }
+
+    // Cancel the pending timed advance; the current step keeps sounding
+    stop() {
+        this.isRunning = false;
+        this._cancel();
+    }
+
+    // Back to before the first step
+    reset() {
+        this.stop();
+        this.index = -1;
+    }
+
+    _goTo(index) {
+        this._cancel();
+        if (index === null) {
+            this.isRunning = false;
+            if (this.onEnded) this.onEnded();
+            return false;
+        }
+
+        this.index = index;
+        const { root, quality, voicing, voices } = this.steps[index];
+        this.engine.setChord({ root, quality, voicing, voices });
+
+        if (this.isRunning) this._schedule();
+        if (this.onStep) this.onStep(this.steps[index], index, this.getNextStep());
+        return true;
+    }
+
+    _nextIndex(step) {
+        if (!this.hasSteps()) return null;
+        // Before the first step, stepping back wraps to the last
+        const index = this.index === -1 && step < 0 ? this.steps.length - 1 : this.index + step;
+        if (index >= 0 && index < this.steps.length) return index;
+        if (!this.loop) return null;
+        return (index + this.steps.length) % this.steps.length;
+    }
+
+    // Queue the next advance one step length after now; bar lengths follow tempo changes
+    _schedule() {
+        const length = this._normalizeLength(this.getCurrentStep()) || this.stepLength;
+        const transport = this.transport;
+        const at = length.bars
+            ? `${Math.round(transport.ticks + length.bars * transport.timeSignature * transport.PPQ)}i`
+            : transport.seconds + length.seconds;
+        this.eventId = transport.scheduleOnce(() => {
+            this.eventId = null;
+            this.advance();
+        }, at);
+    }
+
+    _cancel() {
+        if (this.eventId !== null) {
+            this.transport.clear(this.eventId);
+            this.eventId = null;
+        }
+    }
+
+    // { bars } or { seconds } from a step or progression, null if neither is set
+    _normalizeLength(length) {
+        if (!length) return null;
+        if (length.bars > 0) return { bars: length.bars };
+        if (length.seconds > 0) return { seconds: length.seconds };
+        return null;
+    }
+}
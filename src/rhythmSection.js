@@ -0,0 +1,327 @@
+// Rhythm Section - Optional tempo-synced layer on top of the drone
+// An amplitude gate/tremolo on the voices, an arpeggiator over the current chord and
+// chorus/phaser rates locked to note divisions, all clocked by the context's Transport.
+// Tempo comes from tap tempo or a gesture; with gate depth and arp level at 0 the
+// engine is the plain drone again, so a piece can drift from ambient into pulse.
+
+class RhythmSection {
+    static DIVISIONS = ['1m', '2n', '4n', '4t', '8n', '8t', '16n'];
+    static GATE_SHAPES = ['gate', 'tremolo'];
+    static ARP_PATTERNS = ['up', 'down', 'updown', 'random'];
+    static LFO_UNITS = ['chorus', 'phaser'];  // Effect unit types whose rate can lock to the tempo
+
+    static MIN_BPM = 40;
+    static MAX_BPM = 200;
+    static TAP_TIMEOUT = 2000;   // ms without a tap before tapping starts over
+    static TAP_COUNT = 4;        // Intervals averaged for tap tempo
+    static CURVE_POINTS = 64;    // Resolution of one gate/tremolo cycle
+    static ARP_LEVEL = 0.3;      // Arp gain at level 1, against the voice mixer
+
+    static DEFAULTS = {
+        bpm: 90,
+        gate: { division: '8n', shape: 'gate', depth: 0.6 },
+        arp: { division: '16n', pattern: 'up', level: 0, octave: 1 },
+        lfoDivision: null        // e.g. '2n' locks chorus/phaser rates, null leaves them free
+    };
+
+    /**
+     * One cycle of gain values; starts and ends at 1 so cycles join without clicks
+     * @param {string} shape - 'gate' (open for the first half, a short rise at the end) or 'tremolo'
+     * @param {number} depth - 0–1
+     * @returns {Float32Array}
+     */
+    static gateCurve(shape, depth) {
+        const points = RhythmSection.CURVE_POINTS;
+        const low = 1 - depth;
+        const curve = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            const phase = i / (points - 1);
+            curve[i] = shape === 'tremolo'
+                ? low + depth * (0.5 + 0.5 * Math.cos(2 * Math.PI * phase))
+                : (phase <= 0.5 || phase >= 15 / 16 ? 1 : low);
+        }
+        return curve;
+    }
+
+    /**
+     * @param {AudioEngine} engine - Supplies the context, chord frequencies and seed
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.context = engine.context;
+        this.transport = this.context.transport;
+
+        this.enabled = false;
+        this.bpm = RhythmSection.DEFAULTS.bpm;
+        this.gateSettings = { ...RhythmSection.DEFAULTS.gate };
+        this.arpSettings = { ...RhythmSection.DEFAULTS.arp };
+        this.lfoDivision = RhythmSection.DEFAULTS.lfoDivision;
+        this.freeRates = new Map();   // Unit id → rate before it was locked
+
+        // Built by init()
+        this.input = null;
+        this.output = null;
+        this.gate = null;
+        this.arpSynth = null;
+        this.arpGain = null;
+        this.gateLoop = null;
+        this.arpLoop = null;
+
+        this.arpStep = 0;
+        this.random = EffectsRack.seededRandom(engine.seed);
+        this.taps = [];
+    }
+
+    // Build the nodes: input → gate → output, arp synth → output
+    init() {
+        const context = this.context;
+        this.input = new Tone.Gain({ context });
+        this.gate = new Tone.Gain({ context, gain: 1 });
+        this.output = new Tone.Gain({ context });
+        this.input.connect(this.gate);
+        this.gate.connect(this.output);
+
+        this.arpGain = new Tone.Gain({ context, gain: 0 }).connect(this.output);
+        this.arpSynth = new Tone.Synth({
+            context,
+            oscillator: { type: 'triangle' },
+            envelope: { attack: 0.005, decay: 0.15, sustain: 0.3, release: 0.4 }
+        }).connect(this.arpGain);
+
+        this.gateLoop = new Tone.Loop({ context, interval: this.gateSettings.division, callback: time => this._pulse(time) });
+        this.arpLoop = new Tone.Loop({ context, interval: this.arpSettings.division, callback: time => this._arpeggiate(time) });
+
+        this.transport.bpm.value = this.bpm;
+        this._applyArpLevel(0);
+        if (this.enabled) this._startLoops();
+    }
+
+    /**
+     * Switch the rhythmic layer on or off (the Transport starts with it)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.gate) return;
+        if (this.enabled) {
+            this._startLoops();
+        } else {
+            this.gateLoop.stop();
+            this.arpLoop.stop();
+            this._releaseGate();
+        }
+        this._applyArpLevel(0.1);
+    }
+
+    /**
+     * @param {number} bpm - Clamped to MIN_BPM–MAX_BPM
+     * @param {number} [rampTime] - Seconds
+     */
+    setTempo(bpm, rampTime = 0) {
+        if (typeof bpm !== 'number' || !isFinite(bpm)) return;
+        this.bpm = Math.max(RhythmSection.MIN_BPM, Math.min(RhythmSection.MAX_BPM, bpm));
+        const param = this.transport.bpm;
+        if (rampTime > 0) {
+            param.rampTo(this.bpm, rampTime);
+        } else {
+            param.value = this.bpm;
+        }
+        this.applyLfoSync(rampTime || 0.1);
+    }
+
+    /**
+     * Register a tap; from the second tap on, the tempo follows the average interval
+     * @param {number} [now] - Milliseconds
+     * @returns {number|null} The new tempo, null until there are two taps
+     */
+    tap(now = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && now - last > RhythmSection.TAP_TIMEOUT) {
+            this.taps = [];
+        }
+        this.taps.push(now);
+        this.taps = this.taps.slice(-(RhythmSection.TAP_COUNT + 1));
+        if (this.taps.length < 2) return null;
+
+        const span = this.taps[this.taps.length - 1] - this.taps[0];
+        this.setTempo(60000 / (span / (this.taps.length - 1)));
+        return this.bpm;
+    }
+
+    /**
+     * @param {Object} settings
+     * @param {string} [settings.division] - One of DIVISIONS
+     * @param {string} [settings.shape] - 'gate' (on/off pulses) or 'tremolo' (sine)
+     * @param {number} [settings.depth] - 0 (no pulse) to 1 (silent between pulses)
+     */
+    setGate({ division, shape, depth } = {}) {
+        if (RhythmSection.DIVISIONS.includes(division)) {
+            this.gateSettings.division = division;
+            if (this.gateLoop) this.gateLoop.interval = division;
+        }
+        if (RhythmSection.GATE_SHAPES.includes(shape)) this.gateSettings.shape = shape;
+        if (typeof depth === 'number' && isFinite(depth)) {
+            this.gateSettings.depth = Math.max(0, Math.min(1, depth));
+        }
+    }
+
+    /**
+     * @param {Object} settings
+     * @param {string} [settings.division] - One of DIVISIONS
+     * @param {string} [settings.pattern] - One of ARP_PATTERNS
+     * @param {number} [settings.level] - 0 (off) to 1
+     * @param {number} [settings.octave] - Octaves above the drone voices (0–3)
+     */
+    setArp({ division, pattern, level, octave } = {}) {
+        if (RhythmSection.DIVISIONS.includes(division)) {
+            this.arpSettings.division = division;
+            if (this.arpLoop) this.arpLoop.interval = division;
+        }
+        if (RhythmSection.ARP_PATTERNS.includes(pattern)) {
+            this.arpSettings.pattern = pattern;
+            this.arpStep = 0;
+        }
+        if (typeof level === 'number' && isFinite(level)) {
+            this.arpSettings.level = Math.max(0, Math.min(1, level));
+            this._applyArpLevel(0.1);
+        }
+        if (typeof octave === 'number' && isFinite(octave)) {
+            this.arpSettings.octave = Math.round(Math.max(0, Math.min(3, octave)));
+        }
+    }
+
+    /**
+     * Lock the chorus and phaser rates to a note division, or free them again
+     * @param {string|null} division - One of DIVISIONS, null to unlock
+     */
+    setLfoSync(division) {
+        const locked = RhythmSection.DIVISIONS.includes(division) ? division : null;
+        const wasLocked = this.lfoDivision !== null;
+        this.lfoDivision = locked;
+        if (locked) {
+            this.applyLfoSync(0.1);
+        } else if (wasLocked) {
+            this._unlockRates();
+        }
+    }
+
+    // Locked LFO rate in Hz at the current tempo, null when rates are free
+    getLfoRate() {
+        if (!this.lfoDivision) return null;
+        return 1 / this._divisionSeconds(this.lfoDivision);
+    }
+
+    // Re-apply locked rates (tempo change, new effects chain)
+    applyLfoSync(rampTime = 0.1) {
+        const rate = this.getLfoRate();
+        const rack = this.engine.effects;
+        if (rate === null || !rack) return;
+        rack.specs.filter(spec => RhythmSection.LFO_UNITS.includes(spec.type)).forEach(spec => {
+            if (!this.freeRates.has(spec.id)) this.freeRates.set(spec.id, spec.params.frequency);
+            rack.setParam(spec.id, 'frequency', rate, rampTime);
+        });
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            bpm: this.bpm,
+            gate: { ...this.gateSettings },
+            arp: { ...this.arpSettings },
+            lfoDivision: this.lfoDivision
+        };
+    }
+
+    dispose() {
+        [this.gateLoop, this.arpLoop, this.arpSynth, this.arpGain, this.gate, this.input, this.output]
+            .forEach(node => node && node.dispose());
+        this.gate = null;
+    }
+
+    _startLoops() {
+        if (this.transport.state !== 'started') {
+            this.transport.start();
+        }
+        // Start on the next bar line of the running transport so pulses land on the beat
+        const nextBar = this._nextBarTicks();
+        if (this.gateLoop.state !== 'started') this.gateLoop.start(nextBar);
+        if (this.arpLoop.state !== 'started') this.arpLoop.start(nextBar);
+    }
+
+    _nextBarTicks() {
+        const barTicks = this.transport.PPQ * this.transport.timeSignature;
+        return `${Math.ceil(this.transport.ticks / barTicks) * barTicks}i`;
+    }
+
+    _divisionSeconds(division) {
+        return this.transport.toSeconds(division);
+    }
+
+    // One gate/tremolo cycle from `time`
+    _pulse(time) {
+        const { depth, shape } = this.gateSettings;
+        const gain = this.gate.gain;
+        if (depth <= 0) {
+            gain.cancelScheduledValues(time);
+            gain.setValueAtTime(1, time);
+            return;
+        }
+        const duration = this._divisionSeconds(this.gateSettings.division) * 0.999;
+        gain.cancelScheduledValues(time);
+        gain.setValueCurveAtTime(RhythmSection.gateCurve(shape, depth), time, duration);
+    }
+
+    // Next note of the pattern over the current chord voices
+    _arpeggiate(time) {
+        if (this.arpSettings.level <= 0) return;
+        const freqs = [...this.engine.baseFreqs].sort((a, b) => a - b);
+        if (freqs.length === 0) return;
+
+        const count = freqs.length;
+        let index;
+        switch (this.arpSettings.pattern) {
+            case 'down':
+                index = count - 1 - (this.arpStep % count);
+                break;
+            case 'updown': {
+                const cycle = Math.max(1, 2 * count - 2);
+                const position = this.arpStep % cycle;
+                index = position < count ? position : cycle - position;
+                break;
+            }
+            case 'random':
+                index = Math.floor(this.random() * count);
+                break;
+            default:
+                index = this.arpStep % count;
+        }
+        this.arpStep++;
+
+        const frequency = freqs[index] * Math.pow(2, this.arpSettings.octave);
+        const duration = this._divisionSeconds(this.arpSettings.division) * 0.5;
+        this.arpSynth.triggerAttackRelease(frequency, duration, time);
+    }
+
+    _applyArpLevel(rampTime) {
+        if (!this.arpGain) return;
+        const level = this.enabled ? this.arpSettings.level * RhythmSection.ARP_LEVEL : 0;
+        this.arpGain.gain.rampTo(level, rampTime);
+    }
+
+    _releaseGate() {
+        const gain = this.gate.gain;
+        const now = this.context.now();
+        gain.cancelScheduledValues(now);
+        gain.rampTo(1, 0.05, now);
+    }
+
+    _unlockRates() {
+        const rack = this.engine.effects;
+        this.freeRates.forEach((rate, id) => {
+            if (rack && rack.has(id) && typeof rate === 'number') rack.setParam(id, 'frequency', rate, 0.1);
+        });
+        this.freeRates.clear();
+        // The engine's width macro owns the main chorus rate
+        this.engine.setWidth(this.engine.lastValidWidth);
+    }
+}
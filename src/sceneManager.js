@@ -0,0 +1,296 @@
+// Scene Manager - Snapshots of the whole performance state, morphed over time or by gesture
+// A scene holds the key, volume, intensity, width, renderer saturation/drift and every
+// effect unit's mix and params. Morphing interpolates all of them together; the key, bypass
+// switches and impulse-response params flip halfway. Scenes live in numbered slots saved to localStorage.
+
+class SceneManager {
+    static FORMAT = 'drone-scenes';
+    static VERSION = 1;
+    static STORAGE_KEY = 'drone.scenes';
+    static SLOT_COUNT = 10;
+    static MORPH_TIME = 4;   // Default seconds for recall()
+
+    static _defaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (err) {
+            // Blocked in some privacy modes
+            return null;
+        }
+    }
+
+    // Check that parsed JSON is a scene set
+    static isSceneSet(data) {
+        return !!data && data.format === SceneManager.FORMAT && Array.isArray(data.scenes);
+    }
+
+    /**
+     * @param {AudioEngine} engine
+     * @param {Object} visuals - { get() → { saturation, drift }, set({ saturation, drift }) }, 0–1 each
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Defaults to window.localStorage (null disables saving)
+     */
+    constructor(engine, visuals, { storage = SceneManager._defaultStorage() } = {}) {
+        this.engine = engine;
+        this.visuals = visuals;
+        this.storage = storage;
+
+        this.slots = this._read();
+        this.morphTime = SceneManager.MORPH_TIME;
+
+        this.morph = null;        // Timed morph in progress: { from, to, start, duration }
+        this.rafId = null;
+        this.onKeyChange = null;  // Called with the new key when a morph changes it
+    }
+
+    /**
+     * Snapshot the current state
+     * @param {string} [name]
+     * @returns {Object} Scene
+     */
+    capture(name = 'Scene') {
+        const engine = this.engine;
+        const visual = this.visuals.get();
+        return {
+            name,
+            key: engine.getCurrentKey(),
+            volume: engine.lastValidVolume,
+            intensity: engine.lastValidIntensity,
+            width: engine.lastValidWidth,
+            saturation: visual.saturation,
+            drift: visual.drift,
+            effects: engine.effects ? engine.effects.getState() : []
+        };
+    }
+
+    // Capture into a slot (0–9)
+    store(slot, name = `Scene ${slot}`) {
+        if (!this._validSlot(slot)) return null;
+        const scene = this.capture(name);
+        this.slots[slot] = scene;
+        this._write();
+        return scene;
+    }
+
+    clear(slot) {
+        if (!this._validSlot(slot)) return;
+        this.slots[slot] = null;
+        this._write();
+    }
+
+    get(slot) {
+        return this._validSlot(slot) ? this.slots[slot] : null;
+    }
+
+    // Slots that hold a scene, in order
+    getStoredSlots() {
+        return this.slots.map((scene, slot) => (scene ? slot : null)).filter(slot => slot !== null);
+    }
+
+    /**
+     * Morph from the current state to a stored scene
+     * @param {number} slot
+     * @param {Object} [options]
+     * @param {number} [options.time] - Seconds (0 jumps)
+     * @returns {boolean} false if the slot is empty
+     */
+    recall(slot, { time = this.morphTime } = {}) {
+        const scene = this.get(slot);
+        if (!scene) return false;
+        this.morphTo(scene, { time });
+        return true;
+    }
+
+    /**
+     * Morph from the current state to a scene object
+     * @param {Object} scene
+     * @param {Object} [options] - { time } in seconds
+     */
+    morphTo(scene, { time = this.morphTime } = {}) {
+        this.stop();
+        const from = this.capture('current');
+        if (time <= 0) {
+            this._applyBetween(from, scene, 1);
+            return;
+        }
+        this.morph = { from, to: scene, start: performance.now(), duration: time * 1000 };
+        this.rafId = requestAnimationFrame(() => this._tick());
+    }
+
+    // Stop a timed morph where it is
+    stop() {
+        if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        this.morph = null;
+    }
+
+    isMorphing() {
+        return this.morph !== null;
+    }
+
+    /**
+     * Place the state along the stored scenes (slot order): 0 = first, 1 = last
+     * For gesture control (the 'scene.position' modulation target).
+     * @param {number} position - 0–1
+     */
+    setPosition(position) {
+        const path = this.getStoredSlots().map(slot => this.slots[slot]);
+        if (path.length < 2 || typeof position !== 'number' || !isFinite(position)) return;
+        this.stop();
+
+        const scaled = Math.max(0, Math.min(1, position)) * (path.length - 1);
+        const index = Math.min(path.length - 2, Math.floor(scaled));
+        this._applyBetween(path[index], path[index + 1], scaled - index);
+    }
+
+    // Scene set as a downloadable JSON file
+    toJSON() {
+        return {
+            format: SceneManager.FORMAT,
+            version: SceneManager.VERSION,
+            scenes: this.slots
+        };
+    }
+
+    /**
+     * Replace all slots from a scene set
+     * @param {Object|string} data - Parsed scene set or JSON text
+     */
+    load(data) {
+        const set = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!SceneManager.isSceneSet(set)) {
+            throw new Error('Not a scene set');
+        }
+        if (set.version > SceneManager.VERSION) {
+            console.warn(`Scene set version ${set.version} is newer than supported`);
+        }
+        this.slots = this._normalizeSlots(set.scenes);
+        this._write();
+    }
+
+    _tick() {
+        if (!this.morph) return;
+        const { from, to, start, duration } = this.morph;
+        const t = Math.min(1, (performance.now() - start) / duration);
+        this._applyBetween(from, to, t);
+
+        if (t >= 1) {
+            this.morph = null;
+            this.rafId = null;
+            return;
+        }
+        this.rafId = requestAnimationFrame(() => this._tick());
+    }
+
+    // Apply the state t of the way from scene a to scene b
+    _applyBetween(a, b, t) {
+        const engine = this.engine;
+        const lerp = (x, y) => x + (y - x) * t;
+
+        const key = t < 0.5 ? a.key : b.key;
+        if (key && key !== engine.getCurrentKey()) {
+            engine.setKey(key);
+            if (this.onKeyChange) this.onKeyChange(key);
+        }
+
+        engine.setVolume(lerp(a.volume, b.volume));
+        engine.setIntensity(lerp(a.intensity, b.intensity));
+        engine.setWidth(lerp(a.width, b.width));
+        this.visuals.set({
+            saturation: lerp(a.saturation, b.saturation),
+            drift: lerp(a.drift, b.drift)
+        });
+
+        if (engine.effects) {
+            this._applyEffects(a.effects, b.effects, t);
+        }
+    }
+
+    // Units in both scenes (same id and type) interpolate; others are left alone
+    _applyEffects(fromSpecs, toSpecs, t) {
+        const rack = this.engine.effects;
+        toSpecs.forEach(to => {
+            const from = fromSpecs.find(spec => spec.id === to.id && spec.type === to.type);
+            if (!from || !rack.has(to.id)) return;
+
+            // Bypassed units morph as mix 0 and take their stored mix and bypass at the end
+            const fromMix = from.bypassed ? 0 : from.mix;
+            const toMix = to.bypassed ? 0 : to.mix;
+            if (t >= 1 || (from.bypassed && to.bypassed)) {
+                rack.setBypass(to.id, to.bypassed);
+                rack.setMix(to.id, to.mix, 0.1);
+            } else {
+                if (rack.getSpec(to.id).bypassed) rack.setBypass(to.id, false);
+                rack.setMix(to.id, fromMix + (toMix - fromMix) * t, 0.1);
+            }
+
+            const descriptors = EffectsRack.UNITS[to.type].params;
+            Object.entries(to.params).forEach(([name, toValue]) => {
+                const fromValue = from.params[name];
+                if (!descriptors[name] || typeof fromValue !== 'number') return;
+                // Reverb decay and preDelay rebuild the impulse response, so they switch halfway like the key
+                if (descriptors[name].continuous === false) {
+                    rack.setParam(to.id, name, t < 0.5 ? fromValue : toValue, 0.1);
+                    return;
+                }
+                // Exponential params (frequencies, times) move evenly in log space
+                const value = descriptors[name].scale === 'exp' && fromValue > 0 && toValue > 0
+                    ? fromValue * Math.pow(toValue / fromValue, t)
+                    : fromValue + (toValue - fromValue) * t;
+                rack.setParam(to.id, name, value, 0.1);
+            });
+        });
+    }
+
+    _validSlot(slot) {
+        return Number.isInteger(slot) && slot >= 0 && slot < SceneManager.SLOT_COUNT;
+    }
+
+    _normalizeSlots(scenes) {
+        const slots = new Array(SceneManager.SLOT_COUNT).fill(null);
+        scenes.slice(0, SceneManager.SLOT_COUNT).forEach((scene, slot) => {
+            if (scene && typeof scene === 'object') {
+                slots[slot] = {
+                    name: scene.name || `Scene ${slot}`,
+                    key: scene.key,
+                    volume: this._number(scene.volume, 0.5),
+                    intensity: this._number(scene.intensity, 0),
+                    width: this._number(scene.width, 0),
+                    saturation: this._number(scene.saturation, 0),
+                    drift: this._number(scene.drift, 0),
+                    effects: Array.isArray(scene.effects) ? scene.effects.filter(spec => (
+                        spec && EffectsRack.UNITS[spec.type] && spec.params
+                    )) : []
+                };
+            }
+        });
+        return slots;
+    }
+
+    _number(value, fallback) {
+        return typeof value === 'number' && isFinite(value) ? value : fallback;
+    }
+
+    _read() {
+        const empty = new Array(SceneManager.SLOT_COUNT).fill(null);
+        if (!this.storage) return empty;
+        try {
+            const stored = JSON.parse(this.storage.getItem(SceneManager.STORAGE_KEY) || 'null');
+            return SceneManager.isSceneSet(stored) ? this._normalizeSlots(stored.scenes) : empty;
+        } catch (err) {
+            console.warn('Stored scenes are unreadable, ignoring them:', err);
+            return empty;
+        }
+    }
+
+    _write() {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(SceneManager.STORAGE_KEY, JSON.stringify(this.toJSON()));
+            return true;
+        } catch (err) {
+            console.warn('Could not save scenes:', err);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,194 @@
+// Signal Smoother - Filters the gesture-derived signals before they reach the mapping layer
+// Hand tracking runs at ~15 fps and jitters by a degree or two, which turns into zipper
+// noise on a filter sweep. Each named signal (e.g. 'leftRotation', 'pinchX', 'rightSize')
+// gets its own One Euro filter, constant-velocity Kalman filter or critically damped
+// spring, a short prediction along its velocity to hide detection latency, and a deadzone.
+
+class SignalSmoother {
+    static TYPES = ['oneEuro', 'kalman', 'spring', 'off'];
+    static MAX_GAP = 0.5;            // Seconds without a sample after which a signal restarts
+
+    /**
+     * Settings, in units of a signal's full swing (see SIGNALS) so they suit every signal
+     * oneEuro: minCutoff (Hz, at rest), beta (cutoff rise per swing/s), dCutoff (Hz, velocity)
+     * kalman: processNoise (acceleration variance), measurementNoise (jitter variance)
+     * spring: frequency (Hz; higher follows faster)
+     */
+    static DEFAULTS = {
+        type: 'oneEuro',
+        minCutoff: 1,
+        beta: 2,
+        dCutoff: 1,
+        processNoise: 1,
+        measurementNoise: 0.0001,
+        frequency: 3,
+        predict: 0.05,               // Seconds to extrapolate along the velocity (0 = none)
+        deadzone: 0.002              // Output changes smaller than this are ignored
+    };
+
+    // Units by signal suffix: scale = one full swing, optional clamp and wrap
+    static SIGNALS = {
+        Rotation: { scale: 180, min: -90, max: 90 },
+        Angle: { scale: 360, wrap: 360 },
+        Pitch: { scale: 180, min: -90, max: 90 },
+        Roll: { scale: 180, min: -90, max: 90 },
+        Speed: { scale: 2, min: 0, max: Infinity }
+    };
+    static UNIT_SIGNAL = { scale: 1, min: 0, max: 1 };  // Openness, X, Y, Size, Spread
+
+    // Units for a signal name: 'leftRotation' → SIGNALS.Rotation, 'pinchX' → UNIT_SIGNAL
+    static units(name) {
+        const suffix = name.replace(/^(left|right|pinch)/, '');
+        return SignalSmoother.SIGNALS[suffix] || SignalSmoother.UNIT_SIGNAL;
+    }
+
+    // Value wrapped into ±period/2
+    static _wrap(value, period) {
+        return ((value % period) + period * 1.5) % period - period / 2;
+    }
+
+    /**
+     * @param {Object} [settings] - Overrides for DEFAULTS, applied to every signal
+     */
+    constructor(settings = {}) {
+        this.defaults = { ...SignalSmoother.DEFAULTS };
+        this.overrides = {};         // name → settings for that signal only
+        this.signals = {};           // name → { filter, output, lastRaw, time }
+        this.configure(settings);
+    }
+
+    /**
+     * Change the smoothing for every signal, or only the named ones
+     * @param {Object} settings - Any of DEFAULTS
+     * @param {string|string[]} [names] - e.g. 'leftRotation'; omit for all signals
+     */
+    configure(settings, names) {
+        if (settings.type !== undefined && !SignalSmoother.TYPES.includes(settings.type)) {
+            console.warn(`Unknown smoothing type: ${settings.type}`);
+            return;
+        }
+        const valid = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            if (key === 'type' || (key in SignalSmoother.DEFAULTS && typeof value === 'number' && isFinite(value) && value >= 0)) {
+                valid[key] = value;
+            }
+        });
+
+        if (names === undefined) {
+            Object.assign(this.defaults, valid);
+            this.overrides = {};
+        } else {
+            [].concat(names).forEach(name => {
+                this.overrides[name] = { ...this.overrides[name], ...valid };
+            });
+        }
+        this.reset();
+    }
+
+    getSettings(name) {
+        return { ...this.defaults, ...this.overrides[name] };
+    }
+
+    /**
+     * Filter one sample
+     * @param {string} name - Signal name
+     * @param {number|null} value - Raw value; null (signal lost) resets the signal
+     * @param {number} [now] - Milliseconds
+     * @returns {number|null} The smoothed value, or null
+     */
+    process(name, value, now = performance.now()) {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            delete this.signals[name];
+            return null;
+        }
+        const settings = this.getSettings(name);
+        if (settings.type === 'off') return value;
+
+        const units = SignalSmoother.units(name);
+        const time = now / 1000;
+        let signal = this.signals[name];
+        if (!signal || time - signal.time > SignalSmoother.MAX_GAP) {
+            signal = this.signals[name] = { filter: null, output: value, lastRaw: value, time };
+        }
+        const dt = time - signal.time;
+        if (dt <= 0 && signal.filter) return signal.output;
+
+        // Wrapped signals are unwrapped against the previous sample so the filter never sees the jump
+        const raw = units.wrap ? signal.lastRaw + SignalSmoother._wrap(value - signal.lastRaw, units.wrap) : value;
+        signal.lastRaw = raw;
+        signal.time = time;
+
+        const x = raw / units.scale;
+        if (!signal.filter) {
+            signal.filter = { x, v: 0, dx: 0, p: [[settings.measurementNoise, 0], [0, 1]] };
+            return signal.output;
+        }
+        const { value: filtered, velocity } = this[`_${settings.type}`](signal.filter, x, dt, settings);
+
+        let output = (filtered + velocity * settings.predict) * units.scale;
+        let change = output - signal.output;
+        if (units.wrap) {
+            output = SignalSmoother._wrap(output, units.wrap);
+            change = SignalSmoother._wrap(change, units.wrap);
+        } else if (units.min !== undefined) {
+            output = Math.max(units.min, Math.min(units.max, output));
+            change = output - signal.output;
+        }
+        if (Math.abs(change) < settings.deadzone * units.scale) return signal.output;
+
+        signal.output = output;
+        return output;
+    }
+
+    /**
+     * Forget the filter state (the next sample passes through unfiltered)
+     * @param {string} [name] - One signal; omit for all
+     */
+    reset(name) {
+        if (name === undefined) {
+            this.signals = {};
+        } else {
+            delete this.signals[name];
+        }
+    }
+
+    // One Euro filter: a low-pass whose cutoff rises with speed (smooth at rest, quick when moving)
+    _oneEuro(state, x, dt, { minCutoff, beta, dCutoff }) {
+        const alpha = (cutoff) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+        state.dx += alpha(dCutoff) * ((x - state.x) / dt - state.dx);
+        state.x += alpha(minCutoff + beta * Math.abs(state.dx)) * (x - state.x);
+        return { value: state.x, velocity: state.dx };
+    }
+
+    // Kalman filter on position and velocity, with white-noise acceleration
+    _kalman(state, x, dt, { processNoise: q, measurementNoise: r }) {
+        // Predict
+        const [[p00, p01], [p10, p11]] = state.p;
+        state.x += state.v * dt;
+        const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt ** 4 / 4;
+        const a01 = p01 + dt * p11 + q * dt ** 3 / 2;
+        const a10 = p10 + dt * p11 + q * dt ** 3 / 2;
+        const a11 = p11 + q * dt * dt;
+
+        // Update with the measurement
+        const innovation = x - state.x;
+        const s = a00 + r;
+        const k0 = a00 / s;
+        const k1 = a10 / s;
+        state.x += k0 * innovation;
+        state.v += k1 * innovation;
+        state.p = [[(1 - k0) * a00, (1 - k0) * a01], [a10 - k1 * a00, a11 - k1 * a01]];
+        return { value: state.x, velocity: state.v };
+    }
+
+    // Critically damped spring pulled towards the input: no overshoot, lags by about 1 / (2π·frequency)
+    _spring(state, x, dt, { frequency }) {
+        const omega = 2 * Math.PI * frequency;
+        const offset = state.x - x;
+        const decay = Math.exp(-omega * dt);
+        const change = (state.v + omega * offset) * dt;
+        state.x = x + (offset + change) * decay;
+        state.v = (state.v - omega * change) * decay;
+        return { value: state.x, velocity: state.v };
+    }
+}
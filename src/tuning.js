@@ -0,0 +1,249 @@
+// Tuning - Maps MIDI note numbers to frequencies
+// Supports 12-TET, 5-limit just intonation relative to a root, and Scala (.scl/.kbm) files
+
+class Tuning {
+    static MODES = ['equal', 'just', 'scala'];
+    static REFERENCE_PITCHES = [415, 432, 440, 442];
+    static DEFAULT_REFERENCE_PITCH = 440;
+    static REFERENCE_NOTE = 69;  // A4
+
+    // 5-limit just ratios for each semitone above the root
+    static JUST_RATIOS = [
+        1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3,
+        45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8
+    ];
+
+    constructor({ mode = 'equal', referencePitch = Tuning.DEFAULT_REFERENCE_PITCH } = {}) {
+        this.mode = mode;
+        this.referencePitch = referencePitch;
+
+        // Loaded Scala data (null until a file is loaded)
+        this.scale = null;          // { description, ratios } from a .scl file
+        this.keyboardMap = null;    // Parsed .kbm file, or null for the default linear mapping
+    }
+
+    // MIDI note number for a note index (0 = C) in a given octave (C4 = 60)
+    static midiNote(noteIndex, octave) {
+        return (octave + 1) * 12 + noteIndex;
+    }
+
+    setMode(mode) {
+        if (!Tuning.MODES.includes(mode)) {
+            console.warn(`Unknown tuning mode: ${mode}`);
+            return false;
+        }
+        if (mode === 'scala' && !this.scale) {
+            console.warn('No Scala scale loaded');
+            return false;
+        }
+        this.mode = mode;
+        return true;
+    }
+
+    setReferencePitch(hz) {
+        if (typeof hz !== 'number' || !isFinite(hz) || hz <= 0) {
+            console.warn(`Invalid reference pitch: ${hz}`);
+            return false;
+        }
+        this.referencePitch = hz;
+        return true;
+    }
+
+    /**
+     * Frequency of a MIDI note
+     * @param {number} midiNote - Note to tune
+     * @param {number} [rootMidi] - Current root; just intonation is tuned relative to it
+     * @returns {number} Frequency in Hz
+     */
+    frequency(midiNote, rootMidi = midiNote) {
+        if (this.mode === 'just') {
+            const interval = midiNote - rootMidi;
+            const octave = Math.floor(interval / 12);
+            const step = interval - octave * 12;
+            return this._equalFrequency(rootMidi) * Tuning.JUST_RATIOS[step] * Math.pow(2, octave);
+        }
+
+        if (this.mode === 'scala' && this.scale) {
+            const freq = this._scalaFrequency(midiNote);
+            if (freq !== null) return freq;
+        }
+
+        return this._equalFrequency(midiNote);
+    }
+
+    // Frequency of a root note (0 = C) in octave 3, used for labels
+    rootFrequency(noteIndex, octave = 3) {
+        return this.frequency(Tuning.midiNote(noteIndex, octave));
+    }
+
+    // Short description for UI labels, e.g. 'JI · A=432'
+    getLabel() {
+        const reference = `A=${Math.round(this.referencePitch * 10) / 10}`;
+        if (this.mode === 'just') return `JI · ${reference}`;
+        if (this.mode === 'scala' && this.scale) {
+            return this.keyboardMap ? this.scale.description : `${this.scale.description} · ${reference}`;
+        }
+        return `12-TET · ${reference}`;
+    }
+
+    _equalFrequency(midiNote) {
+        return this.referencePitch * Math.pow(2, (midiNote - Tuning.REFERENCE_NOTE) / 12);
+    }
+
+    // Scala tuning following the .kbm semantics; null for unmapped keys
+    _scalaFrequency(midiNote) {
+        const map = this.keyboardMap || this._defaultKeyboardMap();
+        const degree = this._scaleDegree(midiNote, map);
+        const referenceDegree = this._scaleDegree(map.referenceNote, map);
+        if (degree === null || referenceDegree === null) return null;
+
+        return map.referenceFrequency * this._degreeRatio(degree) / this._degreeRatio(referenceDegree);
+    }
+
+    // Without a .kbm file: one key per scale degree, degree 0 on middle C, A4 at the reference pitch
+    _defaultKeyboardMap() {
+        return {
+            mapSize: 0,
+            middleNote: 60,
+            referenceNote: Tuning.REFERENCE_NOTE,
+            referenceFrequency: this.referencePitch,
+            octaveDegree: this.scale.ratios.length,
+            mapping: []
+        };
+    }
+
+    _scaleDegree(midiNote, map) {
+        const offset = midiNote - map.middleNote;
+        if (map.mapSize === 0) return offset;
+
+        const octave = Math.floor(offset / map.mapSize);
+        const key = offset - octave * map.mapSize;
+        const degree = map.mapping[key];
+        if (degree === null || degree === undefined) return null;
+        return degree + octave * (map.octaveDegree || this.scale.ratios.length);
+    }
+
+    // Ratio of a scale degree relative to degree 0; the last ratio is the period
+    _degreeRatio(degree) {
+        const ratios = this.scale.ratios;
+        const size = ratios.length;
+        const period = Math.floor(degree / size);
+        const step = degree - period * size;
+        const base = step === 0 ? 1 : ratios[step - 1];
+        return base * Math.pow(ratios[size - 1], period);
+    }
+
+    loadScala(text) {
+        this.scale = Tuning.parseScala(text);
+        this.mode = 'scala';
+        return this.scale;
+    }
+
+    loadKeyboardMapping(text) {
+        this.keyboardMap = Tuning.parseKeyboardMapping(text);
+        return this.keyboardMap;
+    }
+
+    clearKeyboardMapping() {
+        this.keyboardMap = null;
+    }
+
+    /**
+     * Load a .scl or .kbm file from a File (picker / drop) or a URL
+     * @param {File|string} source
+     */
+    async loadFile(source) {
+        const isFile = typeof source !== 'string';
+        const name = isFile ? source.name : source;
+        let text;
+        if (isFile) {
+            text = await source.text();
+        } else {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to load tuning: ${source} - ${response.status}`);
+            }
+            text = await response.text();
+        }
+
+        if (name.toLowerCase().endsWith('.kbm')) {
+            return this.loadKeyboardMapping(text);
+        }
+        return this.loadScala(text);
+    }
+
+    // Lines of a Scala file with comments ('!') removed
+    static _scalaLines(text) {
+        return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    }
+
+    /**
+     * Parse a Scala .scl file
+     * Pitches containing a '.' are cents, anything else is a ratio ('3/2' or '2').
+     * @returns {{description: string, ratios: number[]}} Ratios for degrees 1..n (last = period)
+     */
+    static parseScala(text) {
+        const lines = Tuning._scalaLines(text);
+        if (lines.length < 2) {
+            throw new Error('Invalid Scala file: missing description or note count');
+        }
+
+        const description = lines[0].trim() || 'Scala tuning';
+        const count = parseInt(lines[1].trim(), 10);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Invalid Scala file: bad note count');
+        }
+
+        const ratios = lines.slice(2)
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(token => token)
+            .slice(0, count)
+            .map(token => {
+                if (token.includes('.')) {
+                    return Math.pow(2, parseFloat(token) / 1200);
+                }
+                const [num, den = '1'] = token.split('/');
+                return parseInt(num, 10) / parseInt(den, 10);
+            });
+
+        if (ratios.length !== count || ratios.some(r => !isFinite(r) || r <= 0)) {
+            throw new Error('Invalid Scala file: bad pitch values');
+        }
+
+        return { description, ratios };
+    }
+
+    /**
+     * Parse a Scala .kbm keyboard mapping file
+     * Keys marked 'x' are unmapped and fall back to 12-TET.
+     */
+    static parseKeyboardMapping(text) {
+        const values = Tuning._scalaLines(text)
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(token => token);
+
+        if (values.length < 7) {
+            throw new Error('Invalid keyboard mapping: missing header fields');
+        }
+
+        const mapSize = parseInt(values[0], 10);
+        const map = {
+            mapSize,
+            firstNote: parseInt(values[1], 10),
+            lastNote: parseInt(values[2], 10),
+            middleNote: parseInt(values[3], 10),
+            referenceNote: parseInt(values[4], 10),
+            referenceFrequency: parseFloat(values[5]),
+            octaveDegree: parseInt(values[6], 10),
+            mapping: values.slice(7, 7 + mapSize).map(v => (v === 'x' ? null : parseInt(v, 10)))
+        };
+
+        if (!isFinite(map.referenceFrequency) || map.referenceFrequency <= 0) {
+            throw new Error('Invalid keyboard mapping: bad reference frequency');
+        }
+        // Missing entries at the end of the mapping are unmapped
+        while (map.mapping.length < mapSize) map.mapping.push(null);
+
+        return map;
+    }
+}
@@ -0,0 +1,57 @@
+// Worklet Loader - Loads AudioWorklet processor modules once per context and URL
+// Tone's addAudioWorkletModule keeps a single promise per context and only ever loads the
+// first module requested, so the engine's processors (voices, master bus, recorder tap)
+// are added straight to the raw context's AudioWorklet, one promise per module URL.
+
+class WorkletLoader {
+    static modules = new WeakMap();  // raw context → Map(url → { names, ready, promise })
+
+    /**
+     * Load a processor module; repeated calls share the first request
+     * @param {Tone.BaseContext} context
+     * @param {string} url
+     * @param {string[]} names - Processors the module registers
+     * @returns {Promise<void>}
+     */
+    static load(context, url, names) {
+        const raw = context.rawContext;
+        let modules = WorkletLoader.modules.get(raw);
+        if (!modules) {
+            modules = new Map();
+            WorkletLoader.modules.set(raw, modules);
+        }
+        let entry = modules.get(url);
+        if (!entry) {
+            entry = { names, ready: false, promise: null };
+            entry.promise = raw.audioWorklet.addModule(url).then(() => {
+                entry.ready = true;
+            }, (err) => {
+                // Let a later call retry
+                modules.delete(url);
+                throw new Error(`Could not load ${url}: ${err.message}`);
+            });
+            modules.set(url, entry);
+        }
+        return entry.promise;
+    }
+
+    // Whether a loaded module on this context registers the processor
+    static isRegistered(context, name) {
+        const modules = WorkletLoader.modules.get(context.rawContext);
+        return !!modules && [...modules.values()].some(entry => entry.ready && entry.names.includes(name));
+    }
+
+    /**
+     * Create a node for a processor, checking that its module has loaded
+     * @param {Tone.BaseContext} context
+     * @param {string} name
+     * @param {Object} options - AudioWorkletNode options
+     * @returns {AudioWorkletNode}
+     */
+    static createNode(context, name, options) {
+        if (!WorkletLoader.isRegistered(context, name)) {
+            throw new Error(`AudioWorklet processor '${name}' is not loaded`);
+        }
+        return context.createAudioWorkletNode(name, options);
+    }
+}
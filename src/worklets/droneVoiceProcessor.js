@@ -0,0 +1,293 @@
+// Drone Voice Processor - AudioWorklet rendering every drone voice in a single node
+// Each voice is a detuned unison stack with slow pitch drift; the timbre morphs
+// across an ordered list of waveforms with an equal-power crossfade between neighbours.
+
+const MAX_VOICES = 8;
+const UNISON = 3;
+const VOICE_FADE_SECONDS = 0.05;  // Fade for voices switched on/off by voiceCount
+const BREATH_Q = 30;
+const BREATH_GAIN = 24;           // Makeup gain for the narrow breath bandpass
+const FM_INDEX = 1.5 / (2 * Math.PI);  // Phase modulation depth at harmonicity 2
+
+const WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth', 'fmsine', 'fmtriangle', 'fmsquare', 'fmsawtooth', 'breath'];
+const FREQ_PARAMS = Array.from({ length: MAX_VOICES }, (_, i) => `freq${i}`);
+
+// PolyBLEP residual to band-limit the discontinuities of saw and square
+function polyBlep(phase, dt) {
+    if (phase < dt) {
+        const t = phase / dt;
+        return t + t - t * t - 1;
+    }
+    if (phase > 1 - dt) {
+        const t = (phase - 1) / dt;
+        return t * t + t + t + 1;
+    }
+    return 0;
+}
+
+function basicWave(shape, phase, dt) {
+    switch (shape) {
+        case 'sine':
+            return Math.sin(2 * Math.PI * phase);
+        case 'triangle':
+            return 4 * Math.abs(phase - 0.5) - 1;
+        case 'square': {
+            const half = (phase + 0.5) % 1;
+            return (phase < 0.5 ? 1 : -1) + polyBlep(phase, dt) - polyBlep(half, dt);
+        }
+        case 'sawtooth':
+            return 2 * phase - 1 - polyBlep(phase, dt);
+        default:
+            return 0;
+    }
+}
+
+function fmWave(shape, phase) {
+    // Modulator at twice the carrier frequency, applied as phase modulation
+    let modulated = phase + FM_INDEX * Math.sin(4 * Math.PI * phase);
+    modulated -= Math.floor(modulated);
+    return basicWave(shape, modulated, 0);
+}
+
+class DroneVoiceProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        const frequencies = [];
+        for (let i = 0; i < MAX_VOICES; i++) {
+            frequencies.push({ name: FREQ_PARAMS[i], defaultValue: 130.81, minValue: 1, maxValue: 20000, automationRate: 'k-rate' });
+        }
+        return [
+            ...frequencies,
+            { name: 'morph', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'spread', defaultValue: 20, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'driftDepth', defaultValue: 3, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'driftRate', defaultValue: 1, minValue: 0, maxValue: 100, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+
+        this.waveforms = this._validWaveforms(opts.waveforms || ['triangle', 'sawtooth']);
+        this.voiceCount = Math.min(MAX_VOICES, opts.voiceCount || 4);
+        this.running = true;
+
+        // Seeded xorshift state so renders are repeatable (drift phases, breath noise)
+        this.seed = (opts.seed || 1) >>> 0 || 1;
+
+        this.voices = [];
+        for (let i = 0; i < MAX_VOICES; i++) {
+            this.voices.push({
+                phases: Array.from({ length: UNISON }, () => this._random()),
+                increments: new Float64Array(UNISON),  // Phase step per unison copy, refilled each block
+                driftPhase: this._random(),
+                driftFrequency: 0.08 + i * 0.02,  // Hz, different per voice for organic feel
+                amp: i < this.voiceCount ? 1 : 0,
+                ic1: 0,
+                ic2: 0
+            });
+        }
+
+        this.lastMorph = 0;
+        this._allocateBuffers(128);
+
+        this.port.onmessage = (event) => this._onMessage(event.data);
+    }
+
+    _onMessage(message) {
+        if (message.type === 'waveforms') {
+            this.waveforms = this._validWaveforms(message.waveforms);
+            this._allocateBuffers(this.blockSize);
+        } else if (message.type === 'voiceCount') {
+            this.voiceCount = Math.max(1, Math.min(MAX_VOICES, message.count));
+        } else if (message.type === 'stop') {
+            this.running = false;
+        }
+    }
+
+    // Scratch buffers and layer lists reused every block to avoid garbage in the audio thread
+    _allocateBuffers(blockSize) {
+        this.blockSize = blockSize;
+        this.buffer = new Float32Array(blockSize);
+        this.noise = new Float32Array(blockSize);
+        this.layers = this.waveforms.map(shape => ({
+            breath: shape === 'breath',
+            fm: shape.startsWith('fm'),
+            base: shape.startsWith('fm') ? shape.slice(2) : shape,
+            // Oscillator layers sum UNISON copies, so average them
+            scale: shape === 'breath' ? 1 : 1 / UNISON,
+            weights: new Float32Array(blockSize)
+        }));
+        this.activeLayers = new Int32Array(this.waveforms.length);  // Indices of audible layers this block
+        this.weights = new Float64Array(this.waveforms.length);
+        this.nextWeights = new Float64Array(this.waveforms.length);
+        this._morphWeights(this.lastMorph, this.weights);
+    }
+
+    _validWaveforms(list) {
+        const valid = list.filter(shape => WAVEFORMS.includes(shape));
+        return valid.length > 0 ? valid : ['triangle'];
+    }
+
+    _random() {
+        let x = this.seed;
+        x ^= x << 13;
+        x ^= x >>> 17;
+        x ^= x << 5;
+        this.seed = x >>> 0;
+        return this.seed / 4294967296;
+    }
+
+    // Equal-power weights for each waveform at a morph position (0 = first, 1 = last), written into out
+    _morphWeights(morph, out) {
+        const position = morph * (this.waveforms.length - 1);
+        for (let w = 0; w < out.length; w++) {
+            const distance = Math.abs(w - position);
+            out[w] = distance < 1 ? Math.cos(distance * Math.PI / 2) : 0;
+        }
+    }
+
+    // Add one unison oscillator of a layer into the voice buffer (weights per sample)
+    _renderOscillator(layer, phase, dt, buffer, blockSize) {
+        const { fm, base, weights } = layer;
+        let p = phase;
+
+        for (let n = 0; n < blockSize; n++) {
+            let x;
+            if (fm) {
+                x = fmWave(base, p);
+            } else if (base === 'sine') {
+                x = Math.sin(2 * Math.PI * p);
+            } else if (base === 'triangle') {
+                x = 4 * Math.abs(p - 0.5) - 1;
+            } else {
+                x = basicWave(base, p, dt);
+            }
+            buffer[n] += x * weights[n];
+            p += dt;
+            if (p >= 1) p -= 1;
+        }
+    }
+
+    // Add the breath layer: noise through a zero-delay-feedback state variable bandpass
+    _renderBreath(voice, noise, frequency, buffer, weights, blockSize) {
+        const g = Math.tan(Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate);
+        const k = 1 / BREATH_Q;
+        const a1 = 1 / (1 + g * (g + k));
+        const a2 = g * a1;
+        const a3 = g * a2;
+
+        for (let n = 0; n < blockSize; n++) {
+            const v3 = noise[n] - voice.ic2;
+            const v1 = a1 * voice.ic1 + a2 * v3;
+            const v2 = voice.ic2 + a2 * voice.ic1 + a3 * v3;
+            voice.ic1 = 2 * v1 - voice.ic1;
+            voice.ic2 = 2 * v2 - voice.ic2;
+            // Normalised to unity peak gain, plus makeup for the narrow band
+            buffer[n] += v1 * k * BREATH_GAIN * weights[n];
+        }
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0][0];
+        if (!output) return this.running;
+
+        const blockSize = output.length;
+        const morph = parameters.morph[0];
+        const spread = parameters.spread[0];
+        const driftDepth = parameters.driftDepth[0];
+        const driftRate = parameters.driftRate[0];
+        const blockSeconds = blockSize / sampleRate;
+        const fadeStep = blockSize / (VOICE_FADE_SECONDS * sampleRate);
+
+        if (blockSize !== this.blockSize) this._allocateBuffers(blockSize);
+
+        // Interpolate waveform weights across the block to avoid zipper noise;
+        // waveforms with zero weight are skipped entirely
+        const startWeights = this.weights;
+        let endWeights = startWeights;
+        if (morph !== this.lastMorph) {
+            endWeights = this.nextWeights;
+            this._morphWeights(morph, endWeights);
+            this.weights = endWeights;
+            this.nextWeights = startWeights;
+        }
+        this.lastMorph = morph;
+
+        const layers = this.layers;
+        const activeLayers = this.activeLayers;
+        let activeCount = 0;
+        let breath = false;
+        for (let w = 0; w < layers.length; w++) {
+            const start = startWeights[w];
+            const end = endWeights[w];
+            if (start === 0 && end === 0) continue;
+            const { scale, weights } = layers[w];
+            for (let n = 0; n < blockSize; n++) {
+                weights[n] = scale * (start + (end - start) * (n / blockSize));
+            }
+            activeLayers[activeCount++] = w;
+            if (layers[w].breath) breath = true;
+        }
+
+        // Shared noise for breath layers (one draw per sample, from the seeded generator)
+        const noise = this.noise;
+        if (breath) {
+            for (let n = 0; n < blockSize; n++) noise[n] = this._random() * 2 - 1;
+        }
+
+        output.fill(0);
+        const buffer = this.buffer;
+
+        for (let v = 0; v < MAX_VOICES; v++) {
+            const voice = this.voices[v];
+            const targetAmp = v < this.voiceCount ? 1 : 0;
+            const startAmp = voice.amp;
+            const endAmp = targetAmp > startAmp
+                ? Math.min(targetAmp, startAmp + fadeStep)
+                : Math.max(targetAmp, startAmp - fadeStep);
+            voice.amp = endAmp;
+            if (startAmp === 0 && endAmp === 0) continue;
+
+            // Slow pitch drift, evaluated once per block
+            voice.driftPhase = (voice.driftPhase + voice.driftFrequency * driftRate * blockSeconds) % 1;
+            const driftCents = driftDepth * Math.sin(2 * Math.PI * voice.driftPhase);
+            const frequency = parameters[FREQ_PARAMS[v]][0] * Math.pow(2, driftCents / 1200);
+
+            // Unison detunes spaced evenly across the spread (e.g. -10, 0, +10 cents)
+            const increments = voice.increments;
+            for (let u = 0; u < UNISON; u++) {
+                const cents = (u - (UNISON - 1) / 2) * spread / (UNISON - 1);
+                increments[u] = frequency * Math.pow(2, cents / 1200) / sampleRate;
+            }
+
+            buffer.fill(0);
+            for (let l = 0; l < activeCount; l++) {
+                const layer = layers[activeLayers[l]];
+                if (layer.breath) {
+                    this._renderBreath(voice, noise, frequency, buffer, layer.weights, blockSize);
+                    continue;
+                }
+                for (let u = 0; u < UNISON; u++) {
+                    this._renderOscillator(layer, voice.phases[u], increments[u], buffer, blockSize);
+                }
+            }
+
+            // Advance unison phases by one block
+            for (let u = 0; u < UNISON; u++) {
+                const phase = voice.phases[u] + increments[u] * blockSize;
+                voice.phases[u] = phase - Math.floor(phase);
+            }
+
+            // Mix in with the voice on/off fade applied
+            for (let n = 0; n < blockSize; n++) {
+                const amp = startAmp + (endAmp - startAmp) * (n / blockSize);
+                output[n] += buffer[n] * amp;
+            }
+        }
+
+        return this.running;
+    }
+}
+
+registerProcessor('drone-voice', DroneVoiceProcessor);
@@ -0,0 +1,367 @@
+// Master Bus Processors - Brickwall limiter and loudness meter for the master output
+// 'brickwall-limiter': lookahead peak limiter that never lets a sample past the ceiling.
+// 'loudness-meter': ITU-R BS.1770 loudness (momentary, short-term, integrated) and true peak.
+
+const REPORT_SECONDS = 0.1;        // How often both processors post readings
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+function gainToDb(gain) {
+    return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+class BrickwallLimiterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 0.1, minValue: 0.01, maxValue: 2, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+        const lookahead = opts.lookahead || 0.005;
+
+        // The signal is delayed by L samples; the gain is the minimum required gain over
+        // the last L + 1 samples, release-smoothed, then averaged over L samples. The
+        // average only contains values at or below the gain a peak needs by the time it
+        // leaves the delay line, so the ceiling holds without a hard clip.
+        this.length = Math.max(1, Math.round(lookahead * sampleRate));
+        this.delayLines = [new Float32Array(this.length), new Float32Array(this.length)];
+        this.box = new Float64Array(this.length).fill(1);
+        this.boxSum = this.length;
+        this.position = 0;
+
+        // Monotonic deque of (sample index, required gain) for the sliding minimum
+        this.dequeCapacity = this.length + 2;
+        this.dequeIndex = new Float64Array(this.dequeCapacity);
+        this.dequeValue = new Float64Array(this.dequeCapacity);
+        this.dequeHead = 0;
+        this.dequeSize = 0;
+
+        this.sampleIndex = 0;
+        this.envelope = 1;
+        this.minGain = 1;
+        this.reportCounter = 0;
+        this.reportInterval = Math.round(REPORT_SECONDS * sampleRate);
+        this.running = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'stop') this.running = false;
+        };
+    }
+
+    _pushRequired(value) {
+        const capacity = this.dequeCapacity;
+        // Drop entries from the tail that can never be the minimum again
+        while (this.dequeSize > 0) {
+            const tail = (this.dequeHead + this.dequeSize - 1) % capacity;
+            if (this.dequeValue[tail] < value) break;
+            this.dequeSize--;
+        }
+        const slot = (this.dequeHead + this.dequeSize) % capacity;
+        this.dequeIndex[slot] = this.sampleIndex;
+        this.dequeValue[slot] = value;
+        this.dequeSize++;
+
+        // Expire entries older than the window (L + 1 samples)
+        while (this.dequeIndex[this.dequeHead] < this.sampleIndex - this.length) {
+            this.dequeHead = (this.dequeHead + 1) % capacity;
+            this.dequeSize--;
+        }
+        return this.dequeValue[this.dequeHead];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const blockSize = output[0].length;
+        const channels = Math.min(output.length, 2);
+
+        const ceiling = dbToGain(parameters.ceiling[0]);
+        const releaseCoef = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+        const length = this.length;
+
+        for (let n = 0; n < blockSize; n++) {
+            // Peak across channels (a mono input feeds both outputs)
+            let peak = 0;
+            for (let c = 0; c < channels; c++) {
+                const channel = input[c] || input[0];
+                const x = channel ? channel[n] : 0;
+                const magnitude = x < 0 ? -x : x;
+                if (magnitude > peak) peak = magnitude;
+            }
+            const required = peak > ceiling ? ceiling / peak : 1;
+            const held = this._pushRequired(required);
+
+            // Instant attack (the lookahead does the smoothing), exponential release
+            this.envelope = held < this.envelope ? held : this.envelope + (held - this.envelope) * releaseCoef;
+
+            const pos = this.position;
+            this.boxSum += this.envelope - this.box[pos];
+            this.box[pos] = this.envelope;
+            const gain = Math.min(1, this.boxSum / length);
+            if (gain < this.minGain) this.minGain = gain;
+
+            for (let c = 0; c < channels; c++) {
+                const channel = input[c] || input[0];
+                const line = this.delayLines[c];
+                const delayed = line[pos];
+                line[pos] = channel ? channel[n] : 0;
+                output[c][n] = delayed * gain;
+            }
+
+            this.position = pos + 1;
+            if (this.position === length) {
+                this.position = 0;
+                // Recompute the running sum once per cycle to stop rounding drift
+                let sum = 0;
+                for (let i = 0; i < length; i++) sum += this.box[i];
+                this.boxSum = sum;
+            }
+            this.sampleIndex++;
+        }
+
+        this.reportCounter += blockSize;
+        if (this.reportCounter >= this.reportInterval) {
+            this.port.postMessage({ type: 'reduction', db: -gainToDb(this.minGain) });
+            this.reportCounter = 0;
+            this.minGain = 1;
+        }
+
+        return this.running;
+    }
+}
+
+// Biquad coefficients for the two K-weighting stages (BS.1770), valid at any sample rate.
+// Bilinear-transform form that reproduces the standard's 48 kHz coefficients.
+function kWeightingCoefficients() {
+    // Stage 1: high shelf, +4 dB above ~1.7 kHz (head diffraction)
+    const shelfGain = Math.pow(10, 3.999843853973347 / 20);
+    const shelfBand = Math.pow(shelfGain, 0.4996667741545416);
+    const shelfQ = 0.7071752369554196;
+    const k1 = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const d1 = 1 + k1 / shelfQ + k1 * k1;
+    const shelf = {
+        b0: (shelfGain + shelfBand * k1 / shelfQ + k1 * k1) / d1,
+        b1: 2 * (k1 * k1 - shelfGain) / d1,
+        b2: (shelfGain - shelfBand * k1 / shelfQ + k1 * k1) / d1,
+        a1: 2 * (k1 * k1 - 1) / d1,
+        a2: (1 - k1 / shelfQ + k1 * k1) / d1
+    };
+
+    // Stage 2: RLB high-pass at ~38 Hz
+    const highpassQ = 0.5003270373238773;
+    const k2 = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const d2 = 1 + k2 / highpassQ + k2 * k2;
+    const highpass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (k2 * k2 - 1) / d2,
+        a2: (1 - k2 / highpassQ + k2 * k2) / d2
+    };
+
+    return [shelf, highpass];
+}
+
+const TRUE_PEAK_PHASES = 4;        // 4x oversampling, as recommended by BS.1770
+const TRUE_PEAK_TAPS = 12;         // Taps per phase of the interpolation filter
+const GATE_ABSOLUTE = -70;         // LUFS
+const GATE_RELATIVE = -10;         // LU below the absolute-gated loudness
+const HISTOGRAM_MIN = -70;         // LUFS, lowest histogram bin
+const HISTOGRAM_STEP = 0.1;        // LU per bin
+const HISTOGRAM_BINS = 800;        // -70 to +10 LUFS
+
+function loudness(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.filters = kWeightingCoefficients();
+        // Per channel, per stage: [x1, x2, y1, y2]
+        this.filterState = [0, 1].map(() => this.filters.map(() => new Float64Array(4)));
+
+        // 100 ms blocks; momentary = last 4 blocks, short-term = last 30
+        this.blockLength = Math.round(0.1 * sampleRate);
+        this.blockEnergy = 0;
+        this.blockCounter = 0;
+        this.blocks = new Float64Array(30);
+        this.blockCount = 0;
+
+        // Gating blocks (400 ms, 75% overlap) binned by loudness for the integrated value
+        this.histogramCount = new Float64Array(HISTOGRAM_BINS);
+        this.histogramPower = new Float64Array(HISTOGRAM_BINS);
+
+        this.truePeakFilter = this._truePeakFilter();
+        // History written twice so the taps always read a contiguous run
+        this.peakHistory = [new Float64Array(2 * TRUE_PEAK_TAPS), new Float64Array(2 * TRUE_PEAK_TAPS)];
+        this.peakPosition = 0;
+        this.truePeak = 0;
+        this.maxTruePeak = 0;
+
+        this.running = true;
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'reset') {
+                this._reset();
+            } else if (event.data.type === 'stop') {
+                this.running = false;
+            }
+        };
+    }
+
+    _reset() {
+        this.histogramCount.fill(0);
+        this.histogramPower.fill(0);
+        this.maxTruePeak = 0;
+    }
+
+    // Windowed-sinc interpolation taps for each fractional phase
+    _truePeakFilter() {
+        const centre = TRUE_PEAK_TAPS / 2;
+        const phases = [];
+        for (let p = 0; p < TRUE_PEAK_PHASES; p++) {
+            const offset = p / TRUE_PEAK_PHASES;
+            const taps = new Float64Array(TRUE_PEAK_TAPS);
+            let sum = 0;
+            for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+                const t = j - centre + offset;
+                const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+                const window = 0.5 + 0.5 * Math.cos(Math.PI * t / (centre + 1));
+                taps[j] = sinc * window;
+                sum += taps[j];
+            }
+            for (let j = 0; j < TRUE_PEAK_TAPS; j++) taps[j] /= sum;
+            phases.push(taps);
+        }
+        return phases;
+    }
+
+    _kWeight(x, channel) {
+        let y = x;
+        for (let s = 0; s < this.filters.length; s++) {
+            const f = this.filters[s];
+            const state = this.filterState[channel][s];
+            const out = f.b0 * y + f.b1 * state[0] + f.b2 * state[1] - f.a1 * state[2] - f.a2 * state[3];
+            state[1] = state[0];
+            state[0] = y;
+            state[3] = state[2];
+            state[2] = out;
+            y = out;
+        }
+        return y;
+    }
+
+    _interpolatedPeak(history, position) {
+        // Phase 0 is the (delayed) sample itself
+        const newest = position + TRUE_PEAK_TAPS;
+        let peak = Math.abs(history[newest - TRUE_PEAK_TAPS / 2]);
+        for (let p = 1; p < TRUE_PEAK_PHASES; p++) {
+            const taps = this.truePeakFilter[p];
+            let value = 0;
+            for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+                value += taps[j] * history[newest - j];
+            }
+            const magnitude = Math.abs(value);
+            if (magnitude > peak) peak = magnitude;
+        }
+        return peak;
+    }
+
+    _endBlock() {
+        const energy = this.blockEnergy / this.blockLength;
+        this.blocks[this.blockCount % this.blocks.length] = energy;
+        this.blockCount++;
+        this.blockEnergy = 0;
+
+        const recent = (count) => {
+            const available = Math.min(count, this.blockCount);
+            let sum = 0;
+            for (let i = 1; i <= available; i++) {
+                sum += this.blocks[(this.blockCount - i) % this.blocks.length];
+            }
+            return sum / available;
+        };
+
+        const momentaryPower = recent(4);
+        const momentary = loudness(momentaryPower);
+        if (this.blockCount >= 4 && momentary > GATE_ABSOLUTE) {
+            const bin = Math.max(0, Math.min(HISTOGRAM_BINS - 1,
+                Math.floor((momentary - HISTOGRAM_MIN) / HISTOGRAM_STEP)));
+            this.histogramCount[bin]++;
+            this.histogramPower[bin] += momentaryPower;
+        }
+
+        this.port.postMessage({
+            type: 'levels',
+            momentary,
+            shortTerm: loudness(recent(30)),
+            integrated: this._integrated(),
+            truePeak: gainToDb(this.truePeak),
+            maxTruePeak: gainToDb(this.maxTruePeak)
+        });
+        this.truePeak = 0;
+    }
+
+    // Gated integrated loudness from the histogram (absolute gate already applied)
+    _integrated() {
+        let count = 0;
+        let power = 0;
+        for (let i = 0; i < HISTOGRAM_BINS; i++) {
+            count += this.histogramCount[i];
+            power += this.histogramPower[i];
+        }
+        if (count === 0) return -Infinity;
+
+        const relativeGate = loudness(power / count) + GATE_RELATIVE;
+        const firstBin = Math.max(0, Math.floor((relativeGate - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+        count = 0;
+        power = 0;
+        for (let i = firstBin; i < HISTOGRAM_BINS; i++) {
+            count += this.histogramCount[i];
+            power += this.histogramPower[i];
+        }
+        return count > 0 ? loudness(power / count) : -Infinity;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return this.running;
+
+        const blockSize = input[0].length;
+        const channels = Math.min(input.length, 2);
+
+        for (let n = 0; n < blockSize; n++) {
+            this.peakPosition = (this.peakPosition + 1) % TRUE_PEAK_TAPS;
+            for (let c = 0; c < channels; c++) {
+                const x = input[c][n];
+                const y = this._kWeight(x, c);
+                this.blockEnergy += y * y;
+
+                const history = this.peakHistory[c];
+                history[this.peakPosition] = x;
+                history[this.peakPosition + TRUE_PEAK_TAPS] = x;
+                const peak = this._interpolatedPeak(history, this.peakPosition);
+                if (peak > this.truePeak) this.truePeak = peak;
+                if (peak > this.maxTruePeak) this.maxTruePeak = peak;
+            }
+
+            this.blockCounter++;
+            if (this.blockCounter === this.blockLength) {
+                this.blockCounter = 0;
+                this._endBlock();
+            }
+        }
+
+        return this.running;
+    }
+}
+
+registerProcessor('brickwall-limiter', BrickwallLimiterProcessor);
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
@@ -0,0 +1,69 @@
+// Recorder Processor - Captures the master output as raw float samples
+// Collects 128-frame render blocks into larger chunks and transfers them to the main
+// thread while recording; pausing simply stops collecting.
+
+const CHUNK_FRAMES = 8192;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+        this.channelCount = opts.channelCount || 2;
+        this.recording = false;
+        this.running = true;
+        this._newChunk();
+
+        this.port.onmessage = (event) => {
+            const { type } = event.data;
+            if (type === 'record') {
+                this.recording = true;
+            } else if (type === 'pause') {
+                this.recording = false;
+            } else if (type === 'stop') {
+                this.recording = false;
+                this._flush();
+                this.port.postMessage({ type: 'stopped' });
+            } else if (type === 'dispose') {
+                this.running = false;
+            }
+        };
+    }
+
+    _newChunk() {
+        this.chunk = [];
+        for (let c = 0; c < this.channelCount; c++) {
+            this.chunk.push(new Float32Array(CHUNK_FRAMES));
+        }
+        this.frames = 0;
+    }
+
+    _flush() {
+        if (this.frames === 0) return;
+        const channels = this.chunk.map(channel => channel.slice(0, this.frames));
+        this.port.postMessage({ type: 'chunk', channels }, channels.map(channel => channel.buffer));
+        this._newChunk();
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.recording || !input || input.length === 0) return this.running;
+
+        const blockSize = input[0].length;
+        let offset = 0;
+        while (offset < blockSize) {
+            const count = Math.min(blockSize - offset, CHUNK_FRAMES - this.frames);
+            for (let c = 0; c < this.channelCount; c++) {
+                // A mono input is written to every channel
+                const source = input[c] || input[0];
+                this.chunk[c].set(source.subarray(offset, offset + count), this.frames);
+            }
+            this.frames += count;
+            offset += count;
+            if (this.frames === CHUNK_FRAMES) this._flush();
+        }
+
+        return this.running;
+    }
+}
+
+registerProcessor('recorder-tap', RecorderProcessor);